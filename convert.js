@@ -0,0 +1,136 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Conversion of parsed stereo pictures to other stereo formats:
+ * side by side, top bottom, anaglyph, VR Photo or MPO.
+ */
+
+import { ANAGLYPH_COLORS } from './parsers/core/anaglyph-core.js';
+import { encodeVRPhoto } from './encoders/vr-photo-encoder/vr-photo-encoder.js';
+import { encodeMPO } from './encoders/mpo-encoder/mpo-encoder.js';
+
+const FORMATS = ['left-right', 'top-bottom', 'anaglyph', 'vr-photo', 'mpo'];
+const DEFAULT_QUALITY = 0.92;
+
+/**
+ * Convert stereo data, as returned by the parsers or parseStereoSource(), to a file
+ * @Param {Object} stereoData - leftEye, rightEye, phiLength, thetaStart, thetaLength
+ * @Param {Object} options - Conversion options:
+ *   to: 'left-right', 'top-bottom', 'anaglyph', 'vr-photo' or 'mpo'
+ *   type: 'image/jpeg' (default) or 'image/png', for 'left-right', 'top-bottom' and 'anaglyph'
+ *   quality: JPEG quality, from 0 to 1 (default 0.92)
+ *   anaglyphColors: 'red-cyan' (default), 'red-green', 'amber-blue' or 'green-magenta', for 'anaglyph'
+ *   anaglyphMode: 'color' (default), or 'gray' for less retinal rivalry, for 'anaglyph'
+ * @Returns {Promise<Blob>}
+ * */
+async function convert(stereoData, options) {
+  const to = options?.to;
+  if (!FORMATS.includes(to)) {
+    throw new Error(`Unknown stereo format "${to}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  if (stereoData.video) {
+    throw new Error('Conversion is not supported for videos');
+  }
+  const { leftEye, rightEye } = stereoData;
+  if (!rightEye) {
+    throw new Error('Conversion needs both eyes');
+  }
+  const type = options?.type || 'image/jpeg';
+  const quality = options?.quality ?? DEFAULT_QUALITY;
+
+  if (to === 'vr-photo' || to === 'mpo') {
+    const left = await encodeImage(leftEye, 'image/jpeg', quality);
+    const right = await encodeImage(rightEye, 'image/jpeg', quality);
+    if (to === 'mpo') {
+      const bytes = encodeMPO(left, right, {
+        baselineLength: stereoData.baselineLength,
+        convergenceAngle: stereoData.convergenceAngle,
+      });
+      return new Blob([bytes], { type: 'image/mpo' });
+    }
+    const bytes = encodeVRPhoto(left, right, {
+      width: leftEye.width,
+      height: leftEye.height,
+      phiLength: stereoData.phiLength,
+      thetaStart: stereoData.thetaStart,
+      thetaLength: stereoData.thetaLength,
+      roll: stereoData.roll,
+      pitch: stereoData.pitch,
+    });
+    return new Blob([bytes], { type: 'image/jpeg' });
+  }
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (to === 'anaglyph') {
+    canvas.width = leftEye.width;
+    canvas.height = leftEye.height;
+    ctx.putImageData(anaglyph(leftEye, rightEye, options), 0, 0);
+  } else if (to === 'left-right') {
+    canvas.width = leftEye.width + rightEye.width;
+    canvas.height = Math.max(leftEye.height, rightEye.height);
+    ctx.putImageData(leftEye, 0, 0);
+    ctx.putImageData(rightEye, leftEye.width, 0);
+  } else {
+    canvas.width = Math.max(leftEye.width, rightEye.width);
+    canvas.height = leftEye.height + rightEye.height;
+    ctx.putImageData(leftEye, 0, 0);
+    ctx.putImageData(rightEye, 0, leftEye.height);
+  }
+  return canvasToBlob(canvas, type, quality);
+}
+
+/** each eye provides the channels of its filter */
+function anaglyph(leftEye, rightEye, options) {
+  const colors = options?.anaglyphColors || 'red-cyan';
+  const filters = ANAGLYPH_COLORS[colors];
+  if (!filters) {
+    throw new Error(`Unknown anaglyph colors "${colors}", expected one of: ${Object.keys(ANAGLYPH_COLORS).join(', ')}`);
+  }
+  if (leftEye.width !== rightEye.width || leftEye.height !== rightEye.height) {
+    throw new Error('Anaglyph conversion needs eyes of the same size');
+  }
+  const gray = options?.anaglyphMode === 'gray';
+  const luminance = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+  const pixels = new Uint8ClampedArray(leftEye.data.length);
+  for (let i = 0; i < pixels.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      // channels seen by neither eye stay black
+      const eye = filters.left.includes(c) ? leftEye.data : filters.right.includes(c) ? rightEye.data : null;
+      if (eye) {
+        pixels[i + c] = gray ? luminance(eye, i) : eye[i + c];
+      }
+    }
+    pixels[i + 3] = 255;
+  }
+  return new ImageData(pixels, leftEye.width, leftEye.height);
+}
+
+async function encodeImage(imageData, type, quality) {
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return (await canvasToBlob(canvas, type, quality)).arrayBuffer();
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`)), type, quality);
+  });
+}
+
+export { convert };
@@ -0,0 +1,168 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Disparity estimation between left and right eye images.
+ * Disparity is the horizontal distance, in pixels, between a point in the left eye and the same point in the right eye:
+ * a point at x in the left eye is at x - disparity in the right eye.
+ */
+
+// Maximum disparity searched, as a fraction of image width
+const MAX_DISPARITY_RATIO = 0.1;
+
+// Convergence is estimated on a downscaled image no wider than this, by blocks of this size
+const CONVERGENCE_MAX_WIDTH = 256;
+const CONVERGENCE_BLOCK_SIZE = 8;
+// Blocks with a lower standard deviation of luminance are too flat to be matched
+const MIN_BLOCK_DEVIATION = 4;
+// Fraction of blocks allowed to be nearer than the screen plane
+const CONVERGENCE_PERCENTILE = 0.95;
+
+/** luminance of an ImageData, one value per pixel */
+function luminance(imageData) {
+  const { data } = imageData;
+  const result = new Float32Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    result[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return result;
+}
+
+/**
+ * Find the disparity of the point (x, y) of the left eye, by matching the patch around it in the right eye.
+ * @Param {ImageData} leftEye
+ * @Param {ImageData} rightEye - same size as leftEye
+ * @Param {number} x, y - pixel coordinates in the left eye
+ * */
+function matchDisparityAt(leftEye, rightEye, x, y) {
+  const width = leftEye.width;
+  const height = leftEye.height;
+  const left = luminance(leftEye);
+  const right = luminance(rightEye);
+
+  const radius = Math.max(3, Math.round(width / 200));
+  const maxDisparity = Math.round(width * MAX_DISPARITY_RATIO);
+  const cx = Math.round(Math.min(Math.max(x, radius), width - 1 - radius));
+  const cy = Math.round(Math.min(Math.max(y, radius), height - 1 - radius));
+
+  let bestCost = Infinity;
+  let bestDisparity = 0;
+  for (let d = -maxDisparity; d <= maxDisparity; d++) {
+    if (cx - d - radius < 0 || cx - d + radius >= width) {
+      continue;
+    }
+    let cost = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+      const row = (cy + dy) * width;
+      for (let dx = -radius; dx <= radius; dx++) {
+        cost += Math.abs(left[row + cx + dx] - right[row + cx + dx - d]);
+      }
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestDisparity = d;
+    }
+  }
+
+  return bestDisparity;
+}
+
+/**
+ * Estimate the disparity to bring to the screen plane so that nothing pops out of the screen:
+ * the disparity of the nearest objects of the picture, ignoring the nearest few percents as outliers.
+ * Blocks are matched on a downscaled image, the result is in pixels of the eye images.
+ * @Param {ImageData} leftEye
+ * @Param {ImageData} rightEye - same size as leftEye
+ * */
+function estimateConvergence(leftEye, rightEye) {
+  const scale = Math.min(1, CONVERGENCE_MAX_WIDTH / leftEye.width);
+  const width = Math.max(1, Math.floor(leftEye.width * scale));
+  const height = Math.max(1, Math.floor(leftEye.height * scale));
+  const left = downscale(luminance(leftEye), leftEye.width, leftEye.height, width, height);
+  const right = downscale(luminance(rightEye), rightEye.width, rightEye.height, width, height);
+
+  const size = CONVERGENCE_BLOCK_SIZE;
+  const maxDisparity = Math.round(width * MAX_DISPARITY_RATIO);
+  const disparities = [];
+  for (let by = 0; by + size <= height; by += size) {
+    for (let bx = 0; bx + size <= width; bx += size) {
+      if (blockDeviation(left, width, bx, by, size) < MIN_BLOCK_DEVIATION) {
+        continue;
+      }
+      let bestCost = Infinity;
+      let bestDisparity = 0;
+      for (let d = -maxDisparity; d <= maxDisparity; d++) {
+        if (bx - d < 0 || bx - d + size > width) {
+          continue;
+        }
+        let cost = 0;
+        for (let y = by; y < by + size; y++) {
+          for (let x = bx; x < bx + size; x++) {
+            cost += Math.abs(left[y * width + x] - right[y * width + x - d]);
+          }
+        }
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestDisparity = d;
+        }
+      }
+      disparities.push(bestDisparity);
+    }
+  }
+
+  if (disparities.length === 0) {
+    return 0;
+  }
+  disparities.sort((a, b) => a - b);
+  const nearest = disparities[Math.min(disparities.length - 1, Math.floor(disparities.length * CONVERGENCE_PERCENTILE))];
+  return Math.round(nearest / scale);
+}
+
+/** box-filter a one value per pixel image to a smaller size */
+function downscale(values, width, height, targetWidth, targetHeight) {
+  if (width === targetWidth && height === targetHeight) {
+    return values;
+  }
+  const result = new Float32Array(targetWidth * targetHeight);
+  const counts = new Uint32Array(targetWidth * targetHeight);
+  for (let y = 0; y < height; y++) {
+    const ty = Math.min(targetHeight - 1, Math.floor(y * targetHeight / height));
+    for (let x = 0; x < width; x++) {
+      const t = ty * targetWidth + Math.min(targetWidth - 1, Math.floor(x * targetWidth / width));
+      result[t] += values[y * width + x];
+      counts[t]++;
+    }
+  }
+  for (let i = 0; i < result.length; i++) {
+    result[i] /= counts[i] || 1;
+  }
+  return result;
+}
+
+/** standard deviation of a square block, flat blocks cannot be matched */
+function blockDeviation(values, width, bx, by, size) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let y = by; y < by + size; y++) {
+    for (let x = bx; x < bx + size; x++) {
+      const v = values[y * width + x];
+      sum += v;
+      sumSquares += v * v;
+    }
+  }
+  const n = size * size;
+  return Math.sqrt(Math.max(0, sumSquares / n - (sum / n) ** 2));
+}
+
+export { matchDisparityAt, estimateConvergence, luminance, downscale };
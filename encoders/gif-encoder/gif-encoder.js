@@ -0,0 +1,203 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Minimal animated GIF encoder, with a single palette shared by all frames.
+ */
+
+// see https://www.w3.org/Graphics/GIF/spec-gif89a.txt
+
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+/**
+ * Encode RGBA frames of identical size into an animated GIF
+ * @Param {Array<Uint8ClampedArray>} frames - RGBA pixels of each frame
+ * @Param {Object} options - width, height, delay: frame duration in ms, loop: number of repetitions (0 for infinite)
+ * @Returns {Uint8Array}
+ * */
+function encodeGIF(frames, options) {
+  const { width, height } = options;
+  const delay = Math.round((options.delay ?? 100) / 10); // in hundredths of a second
+  const loop = options.loop ?? 0;
+
+  const { palette, indexOf } = buildPalette(frames);
+
+  const bytes = [];
+  const writeString = (str) => { for (let i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i)); };
+  const writeUint16 = (val) => { bytes.push(val & 0xFF, (val >> 8) & 0xFF); };
+
+  // Header and Logical Screen Descriptor, with a 256 entries global color table
+  writeString('GIF89a');
+  writeUint16(width);
+  writeUint16(height);
+  bytes.push(0xF7, 0, 0);
+  for (let i = 0; i < 256; i++) {
+    bytes.push(palette[i * 3] || 0, palette[i * 3 + 1] || 0, palette[i * 3 + 2] || 0);
+  }
+
+  // Netscape looping application extension
+  bytes.push(0x21, 0xFF, 0x0B);
+  writeString('NETSCAPE2.0');
+  bytes.push(0x03, 0x01);
+  writeUint16(loop);
+  bytes.push(0x00);
+
+  for (const frame of frames) {
+    // Graphic Control Extension
+    bytes.push(0x21, 0xF9, 0x04, 0x00);
+    writeUint16(delay);
+    bytes.push(0x00, 0x00);
+
+    // Image Descriptor
+    bytes.push(0x2C);
+    writeUint16(0);
+    writeUint16(0);
+    writeUint16(width);
+    writeUint16(height);
+    bytes.push(0x00);
+
+    const indices = new Uint8Array(width * height);
+    for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+      indices[p] = indexOf(frame[i], frame[i + 1], frame[i + 2]);
+    }
+
+    bytes.push(MIN_CODE_SIZE);
+    const data = lzwEncode(indices);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      bytes.push(block.length);
+      for (let j = 0; j < block.length; j++) bytes.push(block[j]);
+    }
+    bytes.push(0x00);
+  }
+
+  bytes.push(0x3B);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Build a palette of the 256 most frequent colors, quantized to 5 bits per channel.
+ * Returns the palette and a function mapping an RGB color to its closest palette index.
+ * */
+function buildPalette(frames) {
+  const histogram = new Uint32Array(1 << 15);
+  const key = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+  for (const frame of frames) {
+    for (let i = 0; i < frame.length; i += 4) {
+      histogram[key(frame[i], frame[i + 1], frame[i + 2])]++;
+    }
+  }
+
+  const keys = [];
+  for (let k = 0; k < histogram.length; k++) {
+    if (histogram[k] > 0) keys.push(k);
+  }
+  keys.sort((a, b) => histogram[b] - histogram[a]);
+
+  const paletteSize = Math.min(256, keys.length);
+  const palette = new Uint8Array(256 * 3);
+  for (let i = 0; i < paletteSize; i++) {
+    // center of the quantization bin
+    palette[i * 3] = ((keys[i] >> 10) << 3) | 4;
+    palette[i * 3 + 1] = (((keys[i] >> 5) & 0x1F) << 3) | 4;
+    palette[i * 3 + 2] = ((keys[i] & 0x1F) << 3) | 4;
+  }
+
+  const cache = new Int16Array(1 << 15).fill(-1);
+  const indexOf = (r, g, b) => {
+    const k = key(r, g, b);
+    if (cache[k] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let i = 0; i < paletteSize; i++) {
+        const dr = palette[i * 3] - r;
+        const dg = palette[i * 3 + 1] - g;
+        const db = palette[i * 3 + 2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+      cache[k] = best;
+    }
+    return cache[k];
+  };
+
+  return { palette, indexOf };
+}
+
+/** variable length LZW compression of palette indices, as specified for GIF */
+function lzwEncode(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+
+  const out = [];
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bufferBits = 0;
+
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      out.push(buffer & 0xFF);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // table full, start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    } else {
+      // the decoder grows its code size one code later than the encoder adds it
+      if (nextCode >= (1 << codeSize)) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) {
+    out.push(buffer & 0xFF);
+  }
+
+  return new Uint8Array(out);
+}
+
+export { encodeGIF };
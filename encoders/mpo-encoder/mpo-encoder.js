@@ -0,0 +1,177 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * MPO encoder: left and right eye JPEGs, one after the other, indexed by Multi-Picture Format metadata.
+ */
+
+// see CIPA DC-007 "Multi-Picture Format" specification
+
+import { insertJPEGSegments, jpegSegment, concat } from '../utils.js';
+
+const JPEG_APP2 = 0xFFE2;
+const MPF_IDENTIFIER = 'MPF\0';
+
+const TAG_MPF_VERSION = 0xB000;
+const TAG_NUMBER_OF_IMAGES = 0xB001;
+const TAG_MP_ENTRY = 0xB002;
+const TAG_MP_INDIVIDUAL_NUM = 0xB101;
+const TAG_BASE_VIEWPOINT_NUM = 0xB204;
+const TAG_CONVERGENCE_ANGLE = 0xB205;
+const TAG_BASELINE_LENGTH = 0xB206;
+
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const TYPE_UNDEFINED = 7;
+const TYPE_SRATIONAL = 10;
+
+// MP Type code of "Multi-Frame Image: Disparity Image", and flag of the representative image
+const MP_TYPE_DISPARITY = 0x020002;
+const MP_REPRESENTATIVE_IMAGE = 0x20000000;
+
+// offset of the TIFF header in the APP2 segment: marker, length and MPF identifier
+const TIFF_HEADER_OFFSET = 8;
+
+/**
+ * Write a stereo MPO that parseMPO() reads back, the left eye being the base viewpoint
+ * @Param {ArrayBuffer} leftJPEG - left eye, as produced by canvas.toBlob(callback, 'image/jpeg')
+ * @Param {ArrayBuffer} rightJPEG - right eye
+ * @Param {Object} (options) - baselineLength: distance between cameras in millimeters, convergenceAngle: in degrees
+ * @Returns {Uint8Array}
+ * */
+function encodeMPO(leftJPEG, rightJPEG, options) {
+  const attributes = (individualNum) => [
+    ifdEntry(TAG_MPF_VERSION, TYPE_UNDEFINED, 4, '0100'),
+    ifdEntry(TAG_MP_INDIVIDUAL_NUM, TYPE_LONG, 1, individualNum),
+    ifdEntry(TAG_BASE_VIEWPOINT_NUM, TYPE_LONG, 1, 1),
+    ...(options?.convergenceAngle !== undefined ? [ifdEntry(TAG_CONVERGENCE_ANGLE, TYPE_SRATIONAL, 1, options.convergenceAngle)] : []),
+    ...(options?.baselineLength !== undefined ? [ifdEntry(TAG_BASELINE_LENGTH, TYPE_RATIONAL, 1, options.baselineLength)] : []),
+  ];
+
+  const right = insertJPEGSegments(rightJPEG, [mpfSegment([attributes(2)])]);
+
+  // sizes and offsets of the index do not change the size of the segment: write it once to measure, then for real
+  const index = (leftSize, leftSegmentOffset) => {
+    const entries = new Uint8Array(32);
+    const view = new DataView(entries.buffer);
+    view.setUint32(0, MP_REPRESENTATIVE_IMAGE | MP_TYPE_DISPARITY);
+    view.setUint32(4, leftSize);
+    view.setUint32(8, 0);
+    view.setUint32(16, MP_TYPE_DISPARITY);
+    view.setUint32(20, right.length);
+    // relative to the TIFF header of the first image
+    view.setUint32(24, leftSize - (leftSegmentOffset + TIFF_HEADER_OFFSET));
+    return mpfSegment([[
+      ifdEntry(TAG_MPF_VERSION, TYPE_UNDEFINED, 4, '0100'),
+      ifdEntry(TAG_NUMBER_OF_IMAGES, TYPE_LONG, 1, 2),
+      ifdEntry(TAG_MP_ENTRY, TYPE_UNDEFINED, entries.length, entries),
+    ], attributes(1)]);
+  };
+
+  const draft = insertJPEGSegments(leftJPEG, [index(0, 0)]);
+  const segmentOffset = findSegment(draft, MPF_IDENTIFIER);
+  const left = insertJPEGSegments(leftJPEG, [index(draft.length, segmentOffset)]);
+
+  return concat([left, right]);
+}
+
+/** offset of the APP2 segment with this identifier */
+function findSegment(jpeg, identifier) {
+  const view = new DataView(jpeg.buffer, jpeg.byteOffset, jpeg.byteLength);
+  let offset = 2;
+  while (offset + 8 <= jpeg.length) {
+    if (view.getUint16(offset) === JPEG_APP2 && String.fromCharCode(...jpeg.subarray(offset + 4, offset + 8)) === identifier) {
+      return offset;
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  throw new Error(`No ${identifier} segment found`);
+}
+
+function ifdEntry(tag, type, count, value) {
+  return { tag, type, count, value };
+}
+
+/**
+ * APP2 segment with a big endian TIFF structure: each IFD is chained to the next one
+ * values that do not fit in 4 bytes are written after each IFD
+ * */
+function mpfSegment(ifds) {
+  const chunks = [];
+  let length = 8;
+  const tiffHeader = new Uint8Array(8);
+  const headerView = new DataView(tiffHeader.buffer);
+  headerView.setUint16(0, 0x4D4D); // "MM"
+  headerView.setUint16(2, 0x002A);
+  headerView.setUint32(4, 8);
+  chunks.push(tiffHeader);
+
+  ifds.forEach((entries, index) => {
+    const ifdLength = 2 + entries.length * 12 + 4;
+    const values = entries.map(valueBytes);
+    const outOfLineLength = values.reduce((sum, bytes) => sum + (bytes.length > 4 ? bytes.length : 0), 0);
+    const ifd = new Uint8Array(ifdLength + outOfLineLength);
+    const view = new DataView(ifd.buffer);
+
+    view.setUint16(0, entries.length);
+    let outOfLine = ifdLength;
+    entries.forEach((entry, i) => {
+      const offset = 2 + i * 12;
+      view.setUint16(offset, entry.tag);
+      view.setUint16(offset + 2, entry.type);
+      view.setUint32(offset + 4, entry.count);
+      if (values[i].length > 4) {
+        view.setUint32(offset + 8, length + outOfLine);
+        ifd.set(values[i], outOfLine);
+        outOfLine += values[i].length;
+      } else {
+        ifd.set(values[i], offset + 8);
+      }
+    });
+    const isLast = index === ifds.length - 1;
+    view.setUint32(2 + entries.length * 12, isLast ? 0 : length + ifd.length);
+
+    chunks.push(ifd);
+    length += ifd.length;
+  });
+
+  return jpegSegment(JPEG_APP2, [new TextEncoder().encode(MPF_IDENTIFIER), ...chunks]);
+}
+
+function valueBytes(entry) {
+  if (entry.value instanceof Uint8Array) {
+    return entry.value;
+  }
+  if (typeof entry.value === 'string') {
+    return new TextEncoder().encode(entry.value);
+  }
+  const bytes = new Uint8Array(entry.type === TYPE_RATIONAL || entry.type === TYPE_SRATIONAL ? 8 : 4);
+  const view = new DataView(bytes.buffer);
+  if (entry.type === TYPE_RATIONAL || entry.type === TYPE_SRATIONAL) {
+    // fixed precision of 1/10000
+    const denominator = 10000;
+    const numerator = Math.round(entry.value * denominator);
+    if (entry.type === TYPE_SRATIONAL) {
+      view.setInt32(0, numerator);
+    } else {
+      view.setUint32(0, numerator);
+    }
+    view.setUint32(4, denominator);
+  } else {
+    view.setUint32(0, entry.value);
+  }
+  return bytes;
+}
+
+export { encodeMPO };
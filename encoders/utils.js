@@ -0,0 +1,76 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Helpers shared by encoders.
+ */
+
+const JPEG_SOI = 0xFFD8;
+const JPEG_APP0 = 0xFFE0;
+const JPEG_APP1 = 0xFFE1;
+
+/**
+ * Insert segments in a JPEG file, after its JFIF (APP0) and Exif (APP1) segments
+ * @Param {ArrayBuffer|Uint8Array} jpeg
+ * @Param {Array<Uint8Array>} segments - complete segments, including marker and length
+ * @Returns {Uint8Array}
+ * */
+function insertJPEGSegments(jpeg, segments) {
+  const bytes = new Uint8Array(jpeg);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint16(0) !== JPEG_SOI) {
+    throw new Error('Not a JPEG file');
+  }
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    const marker = view.getUint16(offset);
+    // keep Exif first, but not an XMP APP1 segment
+    const isExif = marker === JPEG_APP1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+    if (marker !== JPEG_APP0 && !isExif) {
+      break;
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+
+  return concat([bytes.subarray(0, offset), ...segments, bytes.subarray(offset)]);
+}
+
+/**
+ * Build a JPEG segment
+ * @Param {number} marker - e.g. 0xFFE1 for APP1
+ * @Param {Array<Uint8Array>} parts - content of the segment
+ * */
+function jpegSegment(marker, parts) {
+  const content = concat(parts);
+  if (content.length + 2 > 0xFFFF) {
+    throw new Error('JPEG segment too large');
+  }
+  const header = new Uint8Array(4);
+  new DataView(header.buffer).setUint16(0, marker);
+  new DataView(header.buffer).setUint16(2, content.length + 2);
+  return concat([header, content]);
+}
+
+function concat(arrays) {
+  const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+export { insertJPEGSegments, jpegSegment, concat };
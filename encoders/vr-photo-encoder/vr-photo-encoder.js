@@ -0,0 +1,163 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * VR Photo encoder: the left eye JPEG, with the right eye and the angle of view in its XMP metadata.
+ */
+
+// see https://developers.google.com/vr/reference/cardboard-camera-vr-photo-format
+// and XMP Specification Part 3, 1.1.3.1 for extended XMP
+
+import { insertJPEGSegments, jpegSegment } from '../utils.js';
+
+const JPEG_APP1 = 0xFFE1;
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const EXTENDED_XMP_HEADER = 'http://ns.adobe.com/xmp/extension/\0';
+// maximum extended XMP bytes per APP1 segment, leaving room for headers
+const EXTENDED_XMP_CHUNK_SIZE = 65400;
+
+/**
+ * Write a VR Photo that parseVR() reads back
+ * @Param {ArrayBuffer} leftJPEG - left eye, as produced by canvas.toBlob(callback, 'image/jpeg')
+ * @Param {ArrayBuffer} rightJPEG - right eye, same size
+ * @Param {Object} options - width, height: size of each eye, phiLength, thetaStart, thetaLength: angle of view in radians, (roll), (pitch)
+ * @Returns {Uint8Array}
+ * */
+function encodeVRPhoto(leftJPEG, rightJPEG, options) {
+  const { width, height, phiLength, thetaStart, thetaLength } = options;
+
+  // the eye covers part of a full equirectangular panorama
+  const fullWidth = Math.round(width * 2 * Math.PI / phiLength);
+  const fullHeight = Math.round(height * Math.PI / thetaLength);
+  const gpano = {
+    ProjectionType: 'equirectangular',
+    FullPanoWidthPixels: fullWidth,
+    FullPanoHeightPixels: fullHeight,
+    CroppedAreaImageWidthPixels: width,
+    CroppedAreaImageHeightPixels: height,
+    CroppedAreaLeftPixels: Math.round((fullWidth - width) / 2),
+    CroppedAreaTopPixels: Math.round(thetaStart / Math.PI * fullHeight),
+  };
+  if (options.roll) {
+    gpano.PoseRollDegrees = options.roll * 180 / Math.PI;
+  }
+  if (options.pitch) {
+    gpano.PosePitchDegrees = options.pitch * 180 / Math.PI;
+  }
+
+  // the right eye does not fit in the 64KB of a JPEG segment, it goes to the extended XMP
+  const extendedXMP = encodeText(xmpPacket({ 'GImage:Data': base64(new Uint8Array(rightJPEG)) }));
+  const guid = md5(extendedXMP);
+
+  const attributes = { 'GImage:Mime': 'image/jpeg', 'xmpNote:HasExtendedXMP': guid };
+  for (const [key, value] of Object.entries(gpano)) {
+    attributes[`GPano:${key}`] = value;
+  }
+  const segments = [jpegSegment(JPEG_APP1, [encodeText(XMP_HEADER), encodeText(xmpPacket(attributes))])];
+
+  for (let offset = 0; offset < extendedXMP.length; offset += EXTENDED_XMP_CHUNK_SIZE) {
+    const header = new Uint8Array(8);
+    new DataView(header.buffer).setUint32(0, extendedXMP.length);
+    new DataView(header.buffer).setUint32(4, offset);
+    segments.push(jpegSegment(JPEG_APP1, [
+      encodeText(EXTENDED_XMP_HEADER),
+      encodeText(guid),
+      header,
+      extendedXMP.subarray(offset, offset + EXTENDED_XMP_CHUNK_SIZE),
+    ]));
+  }
+
+  return insertJPEGSegments(leftJPEG, segments);
+}
+
+function xmpPacket(attributes) {
+  const properties = Object.entries(attributes).map(([key, value]) => `\n    ${key}="${value}"`).join('');
+  return `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+   <rdf:Description rdf:about=""
+    xmlns:GPano="http://ns.google.com/photos/1.0/panorama/"
+    xmlns:GImage="http://ns.google.com/photos/1.0/image/"
+    xmlns:xmpNote="http://ns.adobe.com/xmp/note/"${properties}/>
+  </rdf:RDF>
+</x:xmpmeta>`;
+}
+
+function encodeText(text) {
+  return new TextEncoder().encode(text);
+}
+
+function base64(bytes) {
+  let binary = '';
+  // String.fromCharCode has a limit on its number of arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/** MD5 digest, as 32 uppercase hexadecimal digits, the GUID of extended XMP */
+function md5(bytes) {
+  const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+  const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+  // padding: 0x80, zeros, then the length in bits as 64-bit little endian
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bytes.length / 2 ** 29), true);
+
+  let a0 = 0x67452301, b0 = 0xEFCDAB89, c0 = 0x98BADCFE, d0 = 0x10325476;
+  const words = new Uint32Array(16);
+  for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(chunk + i * 4, true);
+    }
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + constants[i] + words[g]) >>> 0;
+      const shift = shifts[(i >> 4) * 4 + (i % 4)];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => digest.setUint32(i * 4, word, true));
+  return Array.from(new Uint8Array(digest.buffer), (byte) => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+export { encodeVRPhoto };
@@ -0,0 +1,117 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Animated WebP muxer: still frames are encoded by the browser, then wrapped in ANMF chunks.
+ */
+
+// see https://developers.google.com/speed/webp/docs/riff_container
+
+/**
+ * Combine still WebP images of identical size into an animated WebP
+ * @Param {Array<ArrayBuffer>} stills - WebP files, as produced by canvas.toBlob(callback, 'image/webp')
+ * @Param {Object} options - width, height, delay: frame duration in ms, loop: number of repetitions (0 for infinite)
+ * @Returns {Uint8Array}
+ * */
+function encodeAnimatedWebP(stills, options) {
+  const { width, height } = options;
+  const delay = Math.round(options.delay ?? 100);
+  const loop = options.loop ?? 0;
+
+  const chunks = [];
+
+  // VP8X: animation flag, canvas size
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = 0x02;
+  writeUint24(vp8x, 4, width - 1);
+  writeUint24(vp8x, 7, height - 1);
+  chunks.push(chunk('VP8X', vp8x));
+
+  // ANIM: black opaque background, loop count
+  const anim = new Uint8Array(6);
+  anim.set([0, 0, 0, 0xFF], 0);
+  anim[4] = loop & 0xFF;
+  anim[5] = (loop >> 8) & 0xFF;
+  chunks.push(chunk('ANIM', anim));
+
+  for (const still of stills) {
+    const frameChunks = readChunks(still).filter(({ fourCC }) => fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L');
+    if (!frameChunks.some(({ fourCC }) => fourCC === 'VP8 ' || fourCC === 'VP8L')) {
+      throw new Error('Frame is not a WebP image, this browser may not support WebP encoding');
+    }
+
+    const header = new Uint8Array(16);
+    // frame offset (0, 0), frame size, duration, then no blending and no disposal
+    writeUint24(header, 6, width - 1);
+    writeUint24(header, 9, height - 1);
+    writeUint24(header, 12, delay);
+    header[15] = 0x02;
+    chunks.push(chunk('ANMF', concat([header, ...frameChunks.map(({ fourCC, data }) => chunk(fourCC, data))])));
+  }
+
+  const body = concat(chunks);
+  const riff = new Uint8Array(12);
+  writeFourCC(riff, 0, 'RIFF');
+  new DataView(riff.buffer).setUint32(4, 4 + body.length, true);
+  writeFourCC(riff, 8, 'WEBP');
+
+  return concat([riff, body]);
+}
+
+/** list the chunks of a WebP RIFF file */
+function readChunks(buffer) {
+  const view = new DataView(buffer);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const fourCC = String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({ fourCC, data: new Uint8Array(buffer, offset + 8, size) });
+    // chunks are padded to an even size
+    offset += 8 + size + (size & 1);
+  }
+  return chunks;
+}
+
+function chunk(fourCC, data) {
+  const result = new Uint8Array(8 + data.length + (data.length & 1));
+  writeFourCC(result, 0, fourCC);
+  new DataView(result.buffer).setUint32(4, data.length, true);
+  result.set(data, 8);
+  return result;
+}
+
+function writeFourCC(array, offset, fourCC) {
+  for (let i = 0; i < 4; i++) {
+    array[offset + i] = fourCC.charCodeAt(i);
+  }
+}
+
+function writeUint24(array, offset, val) {
+  array[offset] = val & 0xFF;
+  array[offset + 1] = (val >> 8) & 0xFF;
+  array[offset + 2] = (val >> 16) & 0xFF;
+}
+
+function concat(arrays) {
+  const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+export { encodeAnimatedWebP };
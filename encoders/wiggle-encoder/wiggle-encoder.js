@@ -0,0 +1,101 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Wigglegram encoder: an animation alternating between the left and right eyes.
+ */
+
+import { encodeGIF } from '../gif-encoder/gif-encoder.js';
+import { encodeAnimatedWebP } from '../webp-encoder/webp-encoder.js';
+
+const DEFAULT_WIDTH = 480;
+const DEFAULT_RATE = 6;
+// number of frames between two eyes when cross-fading
+const FADE_STEPS = 4;
+
+/**
+ * Encode left and right eyes into an animated GIF or WebP
+ * @Param {ImageData} leftEye
+ * @Param {ImageData} rightEye
+ * @Param {Object} (options) - Encoding options:
+ *   type: 'image/gif' (default) or 'image/webp'
+ *   width: width of the animation, in pixels (default 480)
+ *   rate: eye switches per second (default 6)
+ *   fade: cross-fade between eyes
+ *   disparity: disparity of the pivot point, in pixels (see disparity.js), which does not move between frames
+ * @Returns {Promise<Blob>}
+ * */
+async function encodeWiggle(leftEye, rightEye, options) {
+  const type = options?.type || 'image/gif';
+  if (type !== 'image/gif' && type !== 'image/webp') {
+    throw new Error(`Unsupported wigglegram type "${type}", expected 'image/gif' or 'image/webp'`);
+  }
+  const rate = Number(options?.rate) || DEFAULT_RATE;
+  const disparity = Math.round(options?.disparity || 0);
+
+  // crop both eyes to their common area once aligned on the pivot point
+  const cropWidth = leftEye.width - Math.abs(disparity);
+  const cropHeight = leftEye.height;
+  const leftX = Math.max(disparity, 0);
+  const rightX = Math.max(-disparity, 0);
+
+  const width = Math.min(Number(options?.width) || DEFAULT_WIDTH, cropWidth);
+  const height = Math.round(width * cropHeight / cropWidth);
+
+  const left = canvasFromImageData(leftEye);
+  const right = canvasFromImageData(rightEye);
+
+  // opacity of the right eye over the left eye, for each frame
+  let weights = [0, 1];
+  if (options?.fade) {
+    const frameCount = 2 * FADE_STEPS;
+    weights = Array.from({ length: frameCount }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameCount));
+  }
+  const delay = 2 * 1000 / rate / weights.length;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const frames = [];
+  for (const weight of weights) {
+    ctx.globalAlpha = 1;
+    ctx.drawImage(left, leftX, 0, cropWidth, cropHeight, 0, 0, width, height);
+    ctx.globalAlpha = weight;
+    ctx.drawImage(right, rightX, 0, cropWidth, cropHeight, 0, 0, width, height);
+
+    if (type === 'image/webp') {
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/webp', 0.9));
+      frames.push(await blob.arrayBuffer());
+    } else {
+      frames.push(ctx.getImageData(0, 0, width, height).data);
+    }
+  }
+
+  if (type === 'image/webp') {
+    return new Blob([encodeAnimatedWebP(frames, { width, height, delay })], { type });
+  }
+  return new Blob([encodeGIF(frames, { width, height, delay })], { type });
+}
+
+function canvasFromImageData(imageData) {
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+export { encodeWiggle };
@@ -0,0 +1,82 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Material projecting a circular fisheye eye image on a sphere segment, instead of the equirectangular UV mapping of the sphere.
+ * Same projection as fisheyePosition() of parsers/core/fisheye-core.js.
+ */
+
+import * as THREE from 'three';
+
+const vertexShader = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D map;
+  uniform float phiLength;
+  uniform float thetaStart;
+  uniform float thetaLength;
+  uniform float halfLensFov;
+  // image circle, in texture coordinates
+  uniform vec2 center;
+  uniform vec2 radius;
+  varying vec2 vUv;
+
+  void main() {
+    float yaw = (vUv.x - 0.5) * phiLength;
+    float theta = thetaStart + (1.0 - vUv.y) * thetaLength;
+    // x right, y up, z along the lens axis
+    vec3 direction = vec3(sin(theta) * sin(yaw), cos(theta), sin(theta) * cos(yaw));
+    float angle = acos(clamp(direction.z, -1.0, 1.0));
+    if (angle > halfLensFov) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+      return;
+    }
+    float xyLength = length(direction.xy);
+    vec2 axis = xyLength > 0.0 ? direction.xy / xyLength : vec2(0.0);
+    gl_FragColor = texture2D(map, center + axis * angle / halfLensFov * radius);
+  }
+`;
+
+/**
+ * @Param {THREE.Texture} texture - fisheye eye image
+ * @Param {Object} stereoData - phiLength, thetaStart, thetaLength and fisheye, see splitDualFisheye()
+ * @Param {Object} circle - { x, y, radius } image circle of the eye, in pixels
+ * @Returns {THREE.ShaderMaterial}
+ * */
+function createFisheyeMaterial(texture, stereoData, circle) {
+  const { width, height } = texture.image;
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      map: { value: texture },
+      phiLength: { value: stereoData.phiLength },
+      thetaStart: { value: stereoData.thetaStart },
+      thetaLength: { value: stereoData.thetaLength },
+      halfLensFov: { value: stereoData.fisheye.lensFov / 2 },
+      // textures are flipped: their origin is the bottom left corner
+      center: { value: new THREE.Vector2(circle.x / width, 1 - circle.y / height) },
+      radius: { value: new THREE.Vector2(circle.radius / width, circle.radius / height) },
+    },
+    vertexShader,
+    fragmentShader,
+  });
+}
+
+export { createFisheyeMaterial };
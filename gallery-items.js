@@ -0,0 +1,45 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Items of a <stereo-gallery>, without DOM: which item to display when <stereo-gallery-item> children are added, removed or changed.
+ */
+
+// attributes of an item that change how it is displayed
+const ITEM_ATTRIBUTES = ['src', 'type', 'angle', 'anaglyphColors', 'anaglyphMode', 'rectify', 'caption'];
+
+/**
+ * Item to display once the items of a gallery changed
+ * @Param {Array} items - current items, with their element
+ * @Param {number} (index) - index of the displayed item, undefined if none is displayed yet
+ * @Param {Object} (displayed) - displayed item, as it was when displayed
+ * @Returns {Object} { index, changed }: index of the item to display, undefined without items, changed: true if it must be displayed again
+ */
+function itemToShow(items, index, displayed) {
+  if (items.length === 0) {
+    return { index: undefined, changed: false };
+  }
+  if (index === undefined || !displayed) {
+    return { index: 0, changed: true };
+  }
+  const newIndex = items.findIndex((item) => item.element === displayed.element);
+  if (newIndex === -1) {
+    // removed: display the item that took its place
+    return { index: Math.min(index, items.length - 1), changed: true };
+  }
+  const changed = ITEM_ATTRIBUTES.some((name) => items[newIndex][name] !== displayed[name]);
+  return { index: newIndex, changed };
+}
+
+export { itemToShow };
@@ -0,0 +1,108 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * "Magic window" for phones: look around by moving the device, outside of VR.
+ * The device orientation is applied as changes of the view direction,
+ * so that it adds up with dragging and stays within the limits of the view.
+ */
+
+import * as THREE from 'three';
+
+// the camera looks out of the back of the device, not out of its top
+const BACK_OF_DEVICE = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+
+class GyroControls {
+  constructor() {
+    // last deviceorientation event, and direction of the device at the previous update
+    this.orientation = null;
+    this.previous = null;
+    this.onDeviceOrientation = (event) => {
+      if (event.alpha !== null) {
+        this.orientation = event;
+      }
+    };
+  }
+
+  /** true if access to the device orientation must be requested from a user gesture (iOS) */
+  static needsPermission() {
+    return typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function' && !GyroControls.permissionGranted;
+  }
+
+  /**
+   * Ask for access to the device orientation, to call from a user gesture
+   * @Returns {Promise<boolean>} true if granted
+   */
+  static async requestPermission() {
+    if (!GyroControls.needsPermission()) {
+      return true;
+    }
+    try {
+      GyroControls.permissionGranted = await DeviceOrientationEvent.requestPermission() === 'granted';
+    } catch (error) {
+      console.warn('<stereo-img> could not get access to device orientation', error);
+    }
+    return !!GyroControls.permissionGranted;
+  }
+
+  connect() {
+    window.addEventListener('deviceorientation', this.onDeviceOrientation);
+  }
+
+  disconnect() {
+    window.removeEventListener('deviceorientation', this.onDeviceOrientation);
+    this.orientation = null;
+    this.previous = null;
+  }
+
+  /** Start again from the current device orientation, for example after recentering the view */
+  reset() {
+    this.previous = null;
+  }
+
+  /**
+   * Change of the device direction since the previous call
+   * @Returns {Object|null} { yaw, pitch } in degrees, null until the device orientation is known
+   */
+  update() {
+    if (!this.orientation) {
+      return null;
+    }
+    const current = this.direction();
+    const previous = this.previous;
+    this.previous = current;
+    if (!previous) {
+      return null;
+    }
+    return {
+      // shortest way, from -180 to 180
+      yaw: ((current.yaw - previous.yaw) % 360 + 540) % 360 - 180,
+      pitch: current.pitch - previous.pitch,
+    };
+  }
+
+  /** yaw and pitch the back of the device points at, in degrees. The screen orientation only rolls the view, it is ignored. */
+  direction() {
+    const { alpha, beta, gamma } = this.orientation;
+    const euler = new THREE.Euler(THREE.MathUtils.degToRad(beta), THREE.MathUtils.degToRad(alpha), THREE.MathUtils.degToRad(-gamma), 'YXZ');
+    const quaternion = new THREE.Quaternion().setFromEuler(euler).multiply(BACK_OF_DEVICE);
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+    return {
+      yaw: THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z)),
+      pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1))),
+    };
+  }
+}
+
+export { GyroControls };
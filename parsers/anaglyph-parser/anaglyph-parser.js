@@ -12,62 +12,30 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-/** fetch the image from URL, read its pixels and return left and right eye images  */
-async function parseAnaglyph(url) {
-  const response = await fetch(url);
-  const blob = await response.blob();
-  const image = await createImageBitmap(blob);
-  //image.crossOrigin = "Anonymous";
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  const width = image.width;
-  const height = image.height;
-  canvas.width = width;
-  canvas.height = height;
-  ctx.drawImage(image, 0, 0);
-  
-
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const { data } = imageData;
-  const leftEyePixels = [];
-  const rightEyePixels = [];
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const a = data[i + 2];
-    leftEyePixels.push(r);
-    leftEyePixels.push(r);
-    leftEyePixels.push(r);
-    leftEyePixels.push(a);
-    rightEyePixels.push(g);
-    rightEyePixels.push(g);
-    rightEyePixels.push(g);
-    rightEyePixels.push(a);
-  }
-
-  const leftEye = new ImageData(new Uint8ClampedArray(leftEyePixels), width, height);
-  const rightEye = new ImageData(new Uint8ClampedArray(rightEyePixels), width, height);
-
-  // TODO: use same method as for left-right stereo (share helper function)
-  const phiLength = 1.02278;
-  const thetaLength =  0.8838;
-
-  const thetaStart = Math.PI / 2 - thetaLength / 2;
-
-  return {leftEye, rightEye, phiLength, thetaStart, thetaLength};
-}
-
-async function createImageBitmap(blob) {
-    const url = URL.createObjectURL(blob);
-    const image = new Image();
-    image.src = url;
-    return new Promise((resolve, reject) => {
-      image.onload = () => {
-        URL.revokeObjectURL(url);
-        resolve(image);
-      };
-      image.onerror = reject;
-    });
+import { readSource, sourceName, decodeImage } from '../utils.js';
+import { readMetadata } from '../core/metadata.js';
+import { splitAnaglyph, ANAGLYPH_COLORS } from '../core/anaglyph-core.js';
+
+/**
+ * read the image from source (URL, Blob, File or ArrayBuffer), read its pixels and return left and right eye images
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - Parsing options:
+ *   colors: 'red-cyan' (default), 'red-green', 'amber-blue' or 'green-magenta'
+ *   mode: 'color' (default) to reconstruct color of each eye from the other eye, or 'gray' for grayscale eyes
+ *   angle: '180' or '360', name: URL or file name of the image, if source is a buffer
+ * */
+async function parseAnaglyph(source, options) {
+  const buffer = await readSource(source);
+  const image = await decodeImage(buffer);
+  const metadata = await readMetadata(buffer);
+
+  return splitAnaglyph(image, {
+    colors: options?.colors,
+    mode: options?.mode,
+    angle: options?.angle,
+    metadata,
+    name: options?.name || sourceName(source),
+  });
 }
 
-export {parseAnaglyph}
\ No newline at end of file
+export {parseAnaglyph, ANAGLYPH_COLORS}
\ No newline at end of file
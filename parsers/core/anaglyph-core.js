@@ -0,0 +1,204 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Decoding of anaglyph images into left and right eyes, without DOM.
+ */
+
+import { createImageData } from './image-data.js';
+import { angleOfView } from './angle-of-view.js';
+import { exifTags } from './metadata.js';
+
+// RGB channels seen through the left and right filter of each kind of glasses
+const ANAGLYPH_COLORS = {
+  'red-cyan': { left: [0], right: [1, 2] },
+  'red-green': { left: [0], right: [1] },
+  'amber-blue': { left: [0, 1], right: [2] },
+  'green-magenta': { left: [1], right: [0, 2] },
+};
+
+// Disparity between eyes is estimated on a downscaled image no wider than this, by blocks of this size
+const DISPARITY_MAX_WIDTH = 512;
+const DISPARITY_BLOCK_SIZE = 8;
+// Maximum disparity searched, as a fraction of image width
+const MAX_DISPARITY_RATIO = 0.05;
+
+/**
+ * return left and right eye images and angle of view of a decoded anaglyph image
+ * @Param {Object} image - decoded image: { data, width, height }, see image-data.js
+ * @Param {Object} (options) - Parsing options:
+ *   colors: 'red-cyan' (default), 'red-green', 'amber-blue' or 'green-magenta'
+ *   mode: 'color' (default) to reconstruct color of each eye from the other eye, or 'gray' for grayscale eyes
+ *   angle: '180' or '360', metadata: as returned by readMetadata(), name: URL or file name of the image
+ * */
+function splitAnaglyph(image, options) {
+  const { width, height } = image;
+
+  const colors = options?.colors || 'red-cyan';
+  const filters = ANAGLYPH_COLORS[colors];
+  if (!filters) {
+    throw new Error(`Unknown anaglyph colors "${colors}", expected one of: ${Object.keys(ANAGLYPH_COLORS).join(', ')}`);
+  }
+
+  const { data } = image;
+
+  // intensity of the image seen through each filter
+  const leftIntensity = filterIntensity(data, filters.left);
+  const rightIntensity = filterIntensity(data, filters.right);
+
+  const leftEyePixels = new Uint8ClampedArray(data.length);
+  const rightEyePixels = new Uint8ClampedArray(data.length);
+
+  if (options?.mode === 'gray') {
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      leftEyePixels[i] = leftEyePixels[i + 1] = leftEyePixels[i + 2] = leftIntensity[p];
+      rightEyePixels[i] = rightEyePixels[i + 1] = rightEyePixels[i + 2] = rightIntensity[p];
+      leftEyePixels[i + 3] = rightEyePixels[i + 3] = data[i + 3];
+    }
+  } else {
+    // Each eye only sees some channels, the missing ones are borrowed from the matching pixel of the other eye
+    const disparity = estimateDisparity(leftIntensity, rightIntensity, width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const d = disparity.at(x, y);
+        // left pixel (x, y) is seen at (x + d, y) by the right eye
+        const inRight = (y * width + clamp(x + d, 0, width - 1)) * 4;
+        const inLeft = (y * width + clamp(x - d, 0, width - 1)) * 4;
+        for (let c = 0; c < 3; c++) {
+          leftEyePixels[i + c] = filters.left.includes(c) ? data[i + c] : data[inRight + c];
+          rightEyePixels[i + c] = filters.right.includes(c) ? data[i + c] : data[inLeft + c];
+        }
+        leftEyePixels[i + 3] = rightEyePixels[i + 3] = data[i + 3];
+      }
+    }
+  }
+
+  const leftEye = createImageData(leftEyePixels, width, height);
+  const rightEye = createImageData(rightEyePixels, width, height);
+
+  const angle = angleOfView(width, height, {
+    angle: options?.angle,
+    exif: exifTags(options?.metadata),
+    name: options?.name,
+  });
+
+  return {leftEye, rightEye, ...angle};
+}
+
+/** average of the given RGB channels, for each pixel */
+function filterIntensity(data, channels) {
+  const intensity = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    let sum = 0;
+    for (const c of channels) {
+      sum += data[i + c];
+    }
+    intensity[p] = sum / channels.length;
+  }
+  return intensity;
+}
+
+/**
+ * Estimate the horizontal disparity between left and right intensities, per block.
+ * Intensities come from different channels, so blocks are compared after removing their mean.
+ * Returns an object whose `at(x, y)` method gives the disparity of a pixel, in full resolution pixels.
+ * */
+function estimateDisparity(leftIntensity, rightIntensity, fullWidth, fullHeight) {
+  const scale = Math.max(1, Math.ceil(fullWidth / DISPARITY_MAX_WIDTH));
+  const left = downscale(leftIntensity, fullWidth, fullHeight, scale);
+  const right = downscale(rightIntensity, fullWidth, fullHeight, scale);
+  const width = Math.floor(fullWidth / scale);
+  const height = Math.floor(fullHeight / scale);
+
+  const blocksX = Math.ceil(width / DISPARITY_BLOCK_SIZE);
+  const blocksY = Math.ceil(height / DISPARITY_BLOCK_SIZE);
+  const maxDisparity = Math.round(width * MAX_DISPARITY_RATIO);
+  const disparity = new Int16Array(blocksX * blocksY);
+
+  const blockMean = (intensity, x0, y0, x1, y1, dx) => {
+    let sum = 0;
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        sum += intensity[y * width + x + dx];
+      }
+    }
+    return sum / ((x1 - x0) * (y1 - y0));
+  };
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const x0 = bx * DISPARITY_BLOCK_SIZE;
+      const y0 = by * DISPARITY_BLOCK_SIZE;
+      const x1 = Math.min(x0 + DISPARITY_BLOCK_SIZE, width);
+      const y1 = Math.min(y0 + DISPARITY_BLOCK_SIZE, height);
+      const leftMean = blockMean(left, x0, y0, x1, y1, 0);
+
+      let bestCost = Infinity;
+      let bestDisparity = 0;
+      for (let d = Math.max(-maxDisparity, -x0); d <= Math.min(maxDisparity, width - x1); d++) {
+        const rightMean = blockMean(right, x0, y0, x1, y1, d);
+        let cost = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            cost += Math.abs((left[y * width + x] - leftMean) - (right[y * width + x + d] - rightMean));
+          }
+        }
+        // favor small disparities on flat areas
+        cost += Math.abs(d);
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestDisparity = d;
+        }
+      }
+      disparity[by * blocksX + bx] = bestDisparity;
+    }
+  }
+
+  return {
+    at(x, y) {
+      const bx = Math.min(Math.floor(x / scale / DISPARITY_BLOCK_SIZE), blocksX - 1);
+      const by = Math.min(Math.floor(y / scale / DISPARITY_BLOCK_SIZE), blocksY - 1);
+      return disparity[by * blocksX + bx] * scale;
+    }
+  };
+}
+
+/** box-filter downscale of a single channel image by an integer factor */
+function downscale(intensity, width, height, factor) {
+  if (factor === 1) {
+    return intensity;
+  }
+  const scaledWidth = Math.floor(width / factor);
+  const scaledHeight = Math.floor(height / factor);
+  const scaled = new Float32Array(scaledWidth * scaledHeight);
+  for (let y = 0; y < scaledHeight; y++) {
+    for (let x = 0; x < scaledWidth; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) {
+          sum += intensity[(y * factor + dy) * width + x * factor + dx];
+        }
+      }
+      scaled[y * scaledWidth + x] = sum / (factor * factor);
+    }
+  }
+  return scaled;
+}
+
+function clamp(val, min, max) {
+  return Math.min(Math.max(val, min), max);
+}
+
+export {splitAnaglyph, ANAGLYPH_COLORS}
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Angle of view of pictures: from a hint, from camera metadata, or from the GPano metadata of panoramas.
+ */
+
+// GoPro (https://gopro.com/help/articles/question_answer/hero7-field-of-view-fov-information?sf96748270=1)
+const GOPRO_PHI_LENGTH = 2.1397737;
+const GOPRO_THETA_LENGTH = 1.647591;
+
+/**
+ * Compute the angle of view of an eye image from its 35mm equivalent focal length
+ * @Param {number} focalLengthIn35mmFormat - 35mm equivalent focal length, in mm
+ * @Param {number} eyeWidth - width of one eye image, in pixels
+ * @Param {number} eyeHeight - height of one eye image, in pixels
+ * */
+function angleOfViewFocalLengthIn35mmFormat(focalLengthIn35mmFormat, eyeWidth, eyeHeight) {
+  // https://en.wikipedia.org/wiki/Angle_of_view#Common_lens_angles_of_view
+  // https://en.wikipedia.org/wiki/35_mm_equivalent_focal_length
+  // angle of view on the diagonal (35mm is 24 mm (vertically) × 36 mm (horizontal), giving a diagonal of about 43.3 mm)
+  const diagonalAngle = 2 * Math.atan(43.3 / (2 * focalLengthIn35mmFormat));
+  // Pi / 4 for a square.
+  const halfAngle = Math.atan(eyeHeight / eyeWidth);
+  const horizontalAngle = diagonalAngle * Math.cos(halfAngle);
+  const verticalAngle = diagonalAngle * Math.sin(halfAngle);
+
+  return {diagonalAngle, horizontalAngle, verticalAngle};
+}
+
+/**
+ * Angle of view of a flat or spherical eye image, centered on the horizon
+ * @Param {number} eyeWidth, eyeHeight - size of one eye image, in pixels
+ * @Param {Object} (options) -
+ *   angle: '180' or '360' for spherical images,
+ *   exif: metadata of the image, its FocalLengthIn35mmFormat is used if present,
+ *   name: URL or file name of the image, to recognize GoPro pictures,
+ *   defaultFocalLength: 35mm equivalent focal length assumed without metadata (27mm by default)
+ * @Returns {Object} {phiLength, thetaStart, thetaLength}, in radians
+ * */
+function angleOfView(eyeWidth, eyeHeight, options) {
+  const exif = options?.exif;
+  const name = options?.name || '';
+
+  let phiLength;
+  let thetaLength;
+
+  if(options?.angle === "180" || options?.angle === 180) {
+    phiLength = Math.PI;
+    thetaLength = Math.PI;
+  } else if(options?.angle === "360" || options?.angle === 360) {
+    phiLength = Math.PI * 2;
+    thetaLength = Math.PI;
+  } else if(exif?.FocalLengthIn35mmFormat) {
+    const angle = angleOfViewFocalLengthIn35mmFormat(exif.FocalLengthIn35mmFormat, eyeWidth, eyeHeight);
+    phiLength = angle.horizontalAngle;
+    thetaLength = angle.verticalAngle;
+  } else if(exif?.Make === 'GoPro' || name.includes('gopro') || name.includes('GOPR')) {
+    phiLength = GOPRO_PHI_LENGTH;
+    thetaLength = GOPRO_THETA_LENGTH;
+  } else {
+    const angle = angleOfViewFocalLengthIn35mmFormat(options?.defaultFocalLength || 27, eyeWidth, eyeHeight);
+    phiLength = angle.horizontalAngle;
+    thetaLength = angle.verticalAngle;
+  }
+
+  const thetaStart = Math.PI / 2 - thetaLength / 2;
+
+  return {phiLength, thetaStart, thetaLength};
+}
+
+/**
+ * Angle of view of a panorama from its GPano XMP metadata (https://developers.google.com/streetview/spherical-metadata)
+ * @Param {Object} (gpano) - GPano metadata, as parsed by exifr
+ * @Returns {Object} {phiLength, thetaStart, thetaLength, (roll), (pitch)}, in radians
+ * */
+function gpanoAngleOfView(gpano) {
+  const result = {};
+
+  // VR180 are a half sphere, but are just a special case.
+  if(gpano?.CroppedAreaImageWidthPixels && gpano?.FullPanoWidthPixels) {
+    result.phiLength = gpano.CroppedAreaImageWidthPixels / gpano.FullPanoWidthPixels * 2 * Math.PI;
+  } else {
+    // assume VR180 (should we assume full sphere instead?)
+    console.warn('No GPano CroppedAreaImageWidthPixels and FullPanoWidthPixels data found, assuming VR180');
+    result.phiLength = Math.PI;
+  }
+
+  if(gpano?.CroppedAreaImageHeightPixels && gpano?.FullPanoHeightPixels) {
+    result.thetaLength = gpano.CroppedAreaImageHeightPixels / gpano.FullPanoHeightPixels * Math.PI;
+  } else {
+    result.thetaLength = Math.PI;
+  }
+
+  if(gpano?.CroppedAreaTopPixels) {
+    result.thetaStart = gpano.CroppedAreaTopPixels / gpano.FullPanoHeightPixels * Math.PI;
+  } else {
+    result.thetaStart = 0;
+  }
+
+  if(gpano?.PoseRollDegrees) {
+    result.roll = gpano.PoseRollDegrees / 180 * Math.PI;
+  }
+  if(gpano?.PosePitchDegrees) {
+    result.pitch = gpano.PosePitchDegrees / 180 * Math.PI;
+  }
+
+  return result;
+}
+
+/**
+ * Initial view of a panorama from its GPano XMP metadata, relative to the center of the picture
+ * @Param {Object} (gpano) - GPano metadata, as parsed by exifr
+ * @Returns {Object} {(yaw), (pitch), (horizontalFov)}, in degrees, only the ones found in metadata
+ * */
+function gpanoInitialView(gpano) {
+  const result = {};
+
+  if(gpano?.InitialViewHeadingDegrees !== undefined) {
+    // PoseHeadingDegrees is the compass heading of the center of the full panorama, the picture may only be a part of it
+    let centerHeading = Number(gpano.PoseHeadingDegrees) || 0;
+    if(gpano.CroppedAreaImageWidthPixels && gpano.FullPanoWidthPixels) {
+      const center = ((Number(gpano.CroppedAreaLeftPixels) || 0) + gpano.CroppedAreaImageWidthPixels / 2) / gpano.FullPanoWidthPixels;
+      centerHeading += (center - 0.5) * 360;
+    }
+    // from -180 to 180
+    result.yaw = ((Number(gpano.InitialViewHeadingDegrees) - centerHeading) % 360 + 540) % 360 - 180;
+  }
+  if(gpano?.InitialViewPitchDegrees !== undefined) {
+    result.pitch = Number(gpano.InitialViewPitchDegrees);
+  }
+  if(gpano?.InitialHorizontalFOVDegrees) {
+    result.horizontalFov = Number(gpano.InitialHorizontalFOVDegrees);
+  }
+
+  return result;
+}
+
+export {angleOfViewFocalLengthIn35mmFormat, angleOfView, gpanoAngleOfView, gpanoInitialView}
@@ -0,0 +1,31 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * DOM-free core of the parsers, for Node.js and Workers.
+ * Functions take decoded pixels ({ data, width, height } RGBA images) and metadata, decoding pictures is left to the caller.
+ * The parsers in the other directories are thin browser adapters around this core.
+ */
+
+export {createImageData, cropImageData} from './image-data.js';
+export {readMetadata, exifTags} from './metadata.js';
+export {angleOfViewFocalLengthIn35mmFormat, angleOfView, gpanoAngleOfView, gpanoInitialView} from './angle-of-view.js';
+export {splitStereo} from './stereo-core.js';
+export {splitDualFisheye, fisheyePosition} from './fisheye-core.js';
+export {splitCubemap, CUBEMAP_FACES} from './cubemap-core.js';
+export {splitAnaglyph, ANAGLYPH_COLORS} from './anaglyph-core.js';
+export {vrRightEyeBuffer, assembleVR, assemblePhotosphere} from './vr-core.js';
+export {readMPO, isMPOBuffer, assembleMPO} from './mpo-core.js';
+export {depthMapInfo, synthesizeStereo, assembleDepth} from './depth-core.js';
+export {readMP4Metadata, readWebMMetadata, videoAngleOfView} from './video-core.js';
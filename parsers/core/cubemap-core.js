@@ -0,0 +1,72 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Stereo cubemaps, without DOM: 6 square faces per eye, as exported by 3D renderers.
+ * Faces show the scene as seen from the center of the cube: side faces are upright,
+ * the top edge of the down face and the bottom edge of the up face touch the front face.
+ */
+
+import { cropImageData } from './image-data.js';
+
+const CUBEMAP_LAYOUTS = ['strip', 'grid'];
+const CUBEMAP_FACES = ['right', 'left', 'up', 'down', 'front', 'back'];
+
+/**
+ * return left and right eye images of a stereo cubemap, and the position of each face in the eye images
+ * @Param {Object} image - decoded image: { data, width, height }, see image-data.js
+ * @Param {Object} (options) -
+ *   layout: 'strip' (default): the 12 faces in a row, left eye first,
+ *     or 'grid': 3 x 2 faces per eye, left eye on the left, or on top if the picture is taller than wide,
+ *   order: order of the faces in the strip or grid (rows first), 'right left up down front back' by default
+ * @Returns {Object} {leftEye, rightEye, phiLength, thetaStart, thetaLength, cubemap: { faceSize, faces: { front: { x, y, width, height }, ... } }}
+ * */
+function splitCubemap(image, options) {
+  const { width, height } = image;
+  const layout = options?.layout || 'strip';
+  if (!CUBEMAP_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown cubemap layout "${layout}", expected one of: ${CUBEMAP_LAYOUTS.join(', ')}`);
+  }
+  const order = options?.order ? options.order.trim().split(/[\s,]+/) : CUBEMAP_FACES;
+  if (order.length !== 6 || !CUBEMAP_FACES.every((face) => order.includes(face))) {
+    throw new Error(`Cubemap order must list each face once: ${CUBEMAP_FACES.join(', ')}`);
+  }
+
+  let leftEye;
+  let rightEye;
+  let columns;
+  if (layout === 'strip') {
+    columns = 6;
+    leftEye = cropImageData(image, 0, 0, width / 2, height);
+    rightEye = cropImageData(image, width / 2, 0, width / 2, height);
+  } else if (width > height) {
+    columns = 3;
+    leftEye = cropImageData(image, 0, 0, width / 2, height);
+    rightEye = cropImageData(image, width / 2, 0, width / 2, height);
+  } else {
+    columns = 3;
+    leftEye = cropImageData(image, 0, 0, width, height / 2);
+    rightEye = cropImageData(image, 0, height / 2, width, height / 2);
+  }
+
+  const faceSize = leftEye.width / columns;
+  const faces = {};
+  order.forEach((face, i) => {
+    faces[face] = { x: (i % columns) * faceSize, y: Math.floor(i / columns) * faceSize, width: faceSize, height: faceSize };
+  });
+
+  return {leftEye, rightEye, phiLength: 2 * Math.PI, thetaStart: 0, thetaLength: Math.PI, cubemap: { faceSize, faces }};
+}
+
+export {splitCubemap, CUBEMAP_FACES}
@@ -0,0 +1,211 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Depth map photos, without DOM: portrait mode pictures with a GDepth depth map in their XMP, or a Dynamic Depth container.
+ * The picture is turned into a stereo pair by depth-image-based rendering: each pixel is shifted horizontally
+ * by a disparity proportional to its inverse depth, holes uncovered behind near objects are filled with the background.
+ */
+
+// see specs at https://developers.google.com/depthmap-metadata/format and https://developer.android.com/media/camera/camera2/Dynamic-depth-v1.0.pdf
+
+import { createImageData } from './image-data.js';
+import { angleOfView } from './angle-of-view.js';
+import { exifTags } from './metadata.js';
+
+// Disparity between eyes of the nearest objects at depth scale 1, as a fraction of the picture width
+const MAX_DISPARITY_RATIO = 0.03;
+
+/**
+ * return the depth map embedded in the picture and how to interpret it, null if there is none
+ * @Param {Object} metadata - as returned by readMetadata()
+ * @Param {ArrayBuffer} buffer - content of the picture, Dynamic Depth maps are appended to it
+ * @Returns {Object|null} { buffer: encoded depth map, mime, format: 'RangeInverse' or 'RangeLinear', near, far }
+ * */
+function depthMapInfo(metadata, buffer) {
+  const gdepth = metadata?.GDepth;
+  if (gdepth?.Data) {
+    return {
+      buffer: base64ToBuffer(gdepth.Data),
+      mime: gdepth.Mime || 'image/jpeg',
+      format: gdepth.Format,
+      near: gdepth.Near,
+      far: gdepth.Far,
+    };
+  }
+
+  // Dynamic Depth: items are appended to the primary picture, in the order of the container directory
+  const items = (metadata?.Container?.Directory || []).map((entry) => entry.Item || entry);
+  const appended = items.filter((item) => item.Semantic !== 'Primary');
+  const depthItem = appended.find((item) => item.Semantic === 'Depth');
+  if (!depthItem?.Length || !buffer) {
+    return null;
+  }
+  let offset = buffer.byteLength - appended.reduce((length, item) => length + (item.Length || 0) + (item.Padding || 0), 0);
+  for (const item of appended) {
+    if (item === depthItem) {
+      break;
+    }
+    offset += (item.Length || 0) + (item.Padding || 0);
+  }
+  if (offset < 0) {
+    return null;
+  }
+  const properties = findDepthMapProperties(metadata) || {};
+  return {
+    buffer: buffer.slice(offset, offset + depthItem.Length),
+    mime: depthItem.Mime || 'image/jpeg',
+    format: properties.Format,
+    near: properties.Near,
+    far: properties.Far,
+  };
+}
+
+/** DepthMap element of the Dynamic Depth device, nested in its cameras */
+function findDepthMapProperties(object) {
+  if (!object || typeof object !== 'object') {
+    return null;
+  }
+  if (object.DepthMap && typeof object.DepthMap === 'object') {
+    return object.DepthMap;
+  }
+  for (const value of Object.values(object)) {
+    const found = findDepthMapProperties(value);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function base64ToBuffer(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * synthesize left and right eyes from a picture and its depth map
+ * @Param {Object} image - decoded picture: { data, width, height }, see image-data.js
+ * @Param {Object} depthMap - decoded depth map, of any size, depth is read from its red channel
+ * @Param {Object} (options) -
+ *   format: 'RangeInverse' (default) or 'RangeLinear', near and far: depth range in meters, see depthMapInfo(),
+ *   depthScale: multiplies the disparity, 1 by default, 0 for a flat picture
+ * @Returns {Object} {leftEye, rightEye}
+ * */
+function synthesizeStereo(image, depthMap, options) {
+  const { width, height } = image;
+  const inverseDepth = normalizedInverseDepth(depthMap, width, height, options);
+  // the farthest objects stay in place, nearer ones move apart in each eye
+  const maxDisparity = width * MAX_DISPARITY_RATIO * (options?.depthScale ?? 1);
+  return {
+    leftEye: renderEye(image, inverseDepth, maxDisparity / 2),
+    rightEye: renderEye(image, inverseDepth, -maxDisparity / 2),
+  };
+}
+
+/** inverse depth of each pixel of the picture, from 0 for the farthest to 1 for the nearest */
+function normalizedInverseDepth(depthMap, width, height, options) {
+  const linear = options?.format === 'RangeLinear' && options.near > 0 && options.far > options.near;
+  const inverseDepth = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const depthY = Math.min(depthMap.height - 1, Math.floor(y * depthMap.height / height));
+    for (let x = 0; x < width; x++) {
+      const depthX = Math.min(depthMap.width - 1, Math.floor(x * depthMap.width / width));
+      // normalized depth: 0 for near, 1 for far
+      const value = depthMap.data[(depthY * depthMap.width + depthX) * 4] / 255;
+      if (linear) {
+        const depth = options.near + value * (options.far - options.near);
+        inverseDepth[y * width + x] = (1 / depth - 1 / options.far) / (1 / options.near - 1 / options.far);
+      } else {
+        // RangeInverse values are already linear in inverse depth
+        inverseDepth[y * width + x] = 1 - value;
+      }
+    }
+  }
+  return inverseDepth;
+}
+
+/**
+ * shift each pixel by shift * its inverse depth, nearest pixels win, then fill holes with the farthest neighbor
+ * */
+function renderEye(image, inverseDepth, shift) {
+  const { data, width, height } = image;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  // inverse depth of the pixel written at each position of the row, -1 for holes
+  const written = new Float32Array(width);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    written.fill(-1);
+    for (let x = 0; x < width; x++) {
+      const depth = inverseDepth[row + x];
+      const target = Math.round(x + shift * depth);
+      if (target >= 0 && target < width && depth > written[target]) {
+        written[target] = depth;
+        pixels.set(data.subarray((row + x) * 4, (row + x) * 4 + 4), (row + target) * 4);
+      }
+    }
+
+    for (let x = 0; x < width; x++) {
+      if (written[x] >= 0) {
+        continue;
+      }
+      let end = x;
+      while (end < width && written[end] < 0) {
+        end++;
+      }
+      // holes are uncovered background: use the farthest side
+      const before = x - 1;
+      const after = end < width ? end : -1;
+      const fill = before >= 0 && (after < 0 || written[before] <= written[after]) ? before : after;
+      if (fill < 0) {
+        // nothing written on the row, keep it unchanged
+        pixels.set(data.subarray(row * 4, (row + width) * 4), row * 4);
+        break;
+      }
+      const source = pixels.slice((row + fill) * 4, (row + fill) * 4 + 4);
+      for (let i = x; i < end; i++) {
+        pixels.set(source, (row + i) * 4);
+      }
+      x = end;
+    }
+  }
+
+  return createImageData(pixels, width, height);
+}
+
+/**
+ * return left and right eye images and angle of view of a depth map photo
+ * @Param {Object} image - decoded picture: { data, width, height }, see image-data.js
+ * @Param {Object} depthMap - decoded depth map of depthMapInfo(), null for a mono picture, e.g. as a preview
+ * @Param {Object} depthInfo - as returned by depthMapInfo()
+ * @Param {Object} (options) - angle: '180' or '360', metadata: as returned by readMetadata(), depthScale: see synthesizeStereo()
+ * @Returns {Object} {leftEye, rightEye, phiLength, thetaStart, thetaLength, (stereo)}
+ * */
+function assembleDepth(image, depthMap, depthInfo, options) {
+  const angle = angleOfView(image.width, image.height, {
+    angle: options?.angle,
+    exif: exifTags(options?.metadata),
+  });
+  if (!depthMap) {
+    return {leftEye: image, rightEye: image, ...angle, stereo: false};
+  }
+  return {...synthesizeStereo(image, depthMap, {...depthInfo, depthScale: options?.depthScale}), ...angle};
+}
+
+export {depthMapInfo, synthesizeStereo, assembleDepth}
@@ -0,0 +1,92 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Dual fisheye pictures, without DOM: the two circular fisheye images of unstitched VR180 cameras, side by side.
+ * Eyes are kept as captured, they are projected on the sphere when rendered, see fisheye-material.js.
+ * Lenses are assumed equidistant: the distance to the center of the circle is proportional to the angle from the lens axis.
+ */
+
+import { cropImageData } from './image-data.js';
+
+const DEFAULT_LENS_FOV = 180;
+
+/**
+ * return left and right eye images of a dual fisheye picture, and the angle of view covered by the lenses
+ * @Param {Object} image - decoded image: { data, width, height }, see image-data.js
+ * @Param {Object} (options) -
+ *   lensFov: field of view of the lenses in degrees, 180 by default,
+ *   leftCircle, rightCircle: { x, y, radius } of the image circle in pixels of each eye, centered and touching the edges of the eye by default
+ * @Returns {Object} {leftEye, rightEye, phiLength, thetaStart, thetaLength, fisheye: { lensFov (in radians), left, right }}
+ * */
+function splitDualFisheye(image, options) {
+  const { width, height } = image;
+  const leftEye = cropImageData(image, 0, 0, width / 2, height);
+  const rightEye = cropImageData(image, width / 2, 0, width / 2, height);
+
+  const lensFov = (Number(options?.lensFov) || DEFAULT_LENS_FOV) * Math.PI / 180;
+  const defaultCircle = { x: leftEye.width / 2, y: leftEye.height / 2, radius: Math.min(leftEye.width, leftEye.height) / 2 };
+  const thetaLength = Math.min(Math.PI, lensFov);
+
+  return {
+    leftEye,
+    rightEye,
+    phiLength: Math.min(2 * Math.PI, lensFov),
+    thetaStart: Math.PI / 2 - thetaLength / 2,
+    thetaLength,
+    fisheye: {
+      lensFov,
+      left: { ...defaultCircle, ...options?.leftCircle },
+      right: { ...defaultCircle, ...options?.rightCircle },
+    },
+  };
+}
+
+/**
+ * position in the fisheye eye image of a point of the sphere, the shader of fisheye-material.js does the same
+ * @Param {number} u, v - texture coordinates on the sphere segment, as if it were equirectangular
+ * @Param {Object} stereoData - as returned by splitDualFisheye()
+ * @Param {Object} circle - { x, y, radius } image circle of the eye, in pixels
+ * @Returns {Object|null} { x, y } in pixels, null outside of the lens field of view
+ * */
+function fisheyePosition(u, v, stereoData, circle) {
+  const yaw = (u - 0.5) * stereoData.phiLength;
+  const theta = stereoData.thetaStart + (1 - v) * stereoData.thetaLength;
+  // x right, y up, z along the lens axis
+  const x = Math.sin(theta) * Math.sin(yaw);
+  const y = Math.cos(theta);
+  const z = Math.sin(theta) * Math.cos(yaw);
+  const angle = Math.acos(Math.min(1, Math.max(-1, z)));
+  if (angle > stereoData.fisheye.lensFov / 2) {
+    return null;
+  }
+  const distance = angle / (stereoData.fisheye.lensFov / 2) * circle.radius;
+  const length = Math.hypot(x, y) || 1;
+  return { x: circle.x + distance * x / length, y: circle.y - distance * y / length };
+}
+
+/**
+ * parse an image circle attribute: "x y radius" in pixels of the eye
+ * @Returns {Object|undefined} { x, y, radius }, undefined if the value is not three numbers
+ * */
+function parseCircle(value) {
+  const numbers = (value || '').trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 3 || numbers.some(isNaN)) {
+    return undefined;
+  }
+  const [x, y, radius] = numbers;
+  return { x, y, radius };
+}
+
+export {splitDualFisheye, fisheyePosition, parseCircle}
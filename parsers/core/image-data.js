@@ -0,0 +1,49 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Decoded images, without DOM: { data, width, height } with RGBA pixels, like ImageData.
+ * ImageData is used when available (browsers and Workers), plain objects otherwise (Node.js).
+ */
+
+/**
+ * @Param {Uint8ClampedArray} data - RGBA pixels
+ * @Param {number} width, height
+ * */
+function createImageData(data, width, height) {
+  if (typeof ImageData !== 'undefined') {
+    return new ImageData(data, width, height);
+  }
+  return { data, width, height };
+}
+
+/** copy of the area of the image, areas outside of the image are transparent */
+function cropImageData(image, x, y, width, height) {
+  x = Math.round(x);
+  y = Math.round(y);
+  width = Math.round(width);
+  height = Math.round(height);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const x0 = Math.max(0, x);
+  const x1 = Math.min(image.width, x + width);
+  if (x1 > x0) {
+    for (let row = Math.max(0, -y); row < Math.min(height, image.height - y); row++) {
+      const source = ((y + row) * image.width + x0) * 4;
+      data.set(image.data.subarray(source, source + (x1 - x0) * 4), (row * width + x0 - x) * 4);
+    }
+  }
+  return createImageData(data, width, height);
+}
+
+export {createImageData, cropImageData}
@@ -0,0 +1,39 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Metadata of pictures: Exif, XMP (including GPano, GImage and extended XMP)
+ */
+
+import exifr from 'exifr';
+
+/**
+ * @Param {ArrayBuffer} buffer - content of the picture
+ * @Returns {Promise<Object>} metadata, grouped by namespace (ifd0, exif, GPano, GImage...)
+ * */
+async function readMetadata(buffer) {
+  return exifr.parse(buffer, {
+    xmp: true,
+    multiSegment: true,
+    mergeOutput: false,
+    ihdr: true, //unclear why we need this, but if not enabled, some VR180 XMP Data are not parsed
+  });
+}
+
+/** Exif tags of the picture (FocalLengthIn35mmFormat, Make...) */
+function exifTags(metadata) {
+  return { ...metadata?.ifd0, ...metadata?.exif };
+}
+
+export {readMetadata, exifTags}
@@ -0,0 +1,257 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Reading of MPO (Multi-Picture Object) files, without DOM: Fujifilm FinePix REAL 3D, Nintendo 3DS, stereo cameras...
+ */
+
+// see CIPA DC-007 "Multi-Picture Format" specification
+
+import { angleOfView } from './angle-of-view.js';
+import { exifTags } from './metadata.js';
+
+const JPEG_SOI = 0xFFD8;
+const JPEG_SOS = 0xFFDA;
+const JPEG_APP2 = 0xFFE2;
+const MPF_IDENTIFIER = 0x4D504600; // "MPF\0"
+
+const TAG_NUMBER_OF_IMAGES = 0xB001;
+const TAG_MP_ENTRY = 0xB002;
+const TAG_MP_INDIVIDUAL_NUM = 0xB101;
+const TAG_CONVERGENCE_ANGLE = 0xB205;
+const TAG_BASELINE_LENGTH = 0xB206;
+
+// MP Type code of "Multi-Frame Image: Disparity Image"
+const MP_TYPE_DISPARITY = 0x020002;
+
+// Fujifilm FinePix REAL 3D W1 / W3 lenses are 35mm equivalent at their widest
+const DEFAULT_FOCAL_LENGTH_IN_35MM_FORMAT = 35;
+
+/**
+ * return the JPEG files of the left and right eyes: the first two disparity images of the MPO file
+ * @Param {ArrayBuffer} buffer - content of the MPO file
+ * @Returns {Object} {left, right: ArrayBuffer, (baselineLength), (convergenceAngle)}
+ * */
+function readMPO(buffer) {
+  const mpf = readMPF(buffer, 0);
+  if (!mpf || mpf.entries.length < 2) {
+    throw new Error('No Multi-Picture Format data found in image');
+  }
+  if (countDisparityImages(mpf) < 2) {
+    // the other images are thumbnails or parts of a panorama
+    throw new Error('No stereo pair found in Multi-Picture Format data');
+  }
+
+  const images = mpf.entries.map((entry, index) => {
+    // offsets are relative to the MPF header of the first image, which itself starts the file
+    const start = index === 0 ? 0 : mpf.tiffOffset + entry.offset;
+    const attributes = index === 0 ? mpf.attributes : readMPF(buffer, start)?.attributes;
+    return {
+      start,
+      size: entry.size,
+      type: entry.type,
+      individualNum: attributes?.individualNum ?? index + 1,
+      attributes,
+    };
+  });
+
+  // Disparity images are numbered from left to right
+  const eyes = images.filter((image) => image.type === MP_TYPE_DISPARITY);
+  eyes.sort((a, b) => a.individualNum - b.individualNum);
+
+  const result = {
+    left: buffer.slice(eyes[0].start, eyes[0].start + eyes[0].size),
+    right: buffer.slice(eyes[1].start, eyes[1].start + eyes[1].size),
+  };
+
+  // Baseline and convergence are stored in the attributes of the right (non-base) viewpoint on most cameras.
+  const baselineLength = eyes[1].attributes?.baselineLength ?? eyes[0].attributes?.baselineLength;
+  const convergenceAngle = eyes[1].attributes?.convergenceAngle ?? eyes[0].attributes?.convergenceAngle;
+  if (baselineLength) {
+    result.baselineLength = baselineLength;
+  }
+  if (convergenceAngle) {
+    result.convergenceAngle = convergenceAngle;
+  }
+
+  return result;
+}
+
+/**
+ * Return true if the buffer is a Multi-Picture Object containing a stereo pair: at least two disparity images.
+ * Cameras also store large thumbnails in the Multi-Picture Format, such pictures are not MPO.
+ * @Param {ArrayBuffer} buffer
+ * */
+function isMPOBuffer(buffer) {
+  const mpf = readMPF(buffer, 0);
+  return !!mpf && countDisparityImages(mpf) >= 2;
+}
+
+function countDisparityImages(mpf) {
+  return mpf.entries.filter((entry) => entry.type === MP_TYPE_DISPARITY).length;
+}
+
+/**
+ * return left and right eye images and angle of view of an MPO file
+ * The angle of view comes from the focal length of the left picture: the MP baseline length and convergence angle tags
+ * tell how far apart and how toed-in the cameras are, not what their lenses see. They are passed through, in millimeters and degrees.
+ * @Param {Object} leftEye, rightEye - decoded pictures of readMPO(): { data, width, height }, see image-data.js
+ * @Param {Object} mpo - as returned by readMPO()
+ * @Param {Object} (options) - angle: '180' or '360', metadata: of the left picture, as returned by readMetadata()
+ * */
+function assembleMPO(leftEye, rightEye, mpo, options) {
+  const angle = angleOfView(leftEye.width, leftEye.height, {
+    angle: options?.angle,
+    exif: exifTags(options?.metadata),
+    defaultFocalLength: DEFAULT_FOCAL_LENGTH_IN_35MM_FORMAT,
+  });
+
+  const result = {leftEye, rightEye, ...angle};
+
+  if (mpo.baselineLength) {
+    result.baselineLength = mpo.baselineLength;
+  }
+  if (mpo.convergenceAngle) {
+    result.convergenceAngle = mpo.convergenceAngle;
+  }
+
+  return result;
+}
+
+/**
+ * Read the MP Index IFD and MP Attribute IFD from the APP2 segment of the JPEG starting at `start`
+ * Returns null if no MPF APP2 segment is found, or if it is malformed.
+ * */
+function readMPF(buffer, start) {
+  const view = new DataView(buffer);
+
+  if (start + 4 > view.byteLength || view.getUint16(start) !== JPEG_SOI) {
+    return null;
+  }
+
+  let offset = start + 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === JPEG_SOS) {
+      return null;
+    }
+    const segmentLength = view.getUint16(offset + 2);
+    const segmentEnd = Math.min(offset + 2 + segmentLength, view.byteLength);
+
+    if (marker === JPEG_APP2 && offset + 8 <= segmentEnd && view.getUint32(offset + 4) === MPF_IDENTIFIER) {
+      return readMPFSegment(view, offset + 8, segmentEnd);
+    }
+
+    offset += 2 + segmentLength;
+  }
+
+  return null;
+}
+
+/** offsets of the segment are relative to tiffOffset, null if they point beyond segmentEnd */
+function readMPFSegment(view, tiffOffset, segmentEnd) {
+  const fits = (offset, size) => offset >= 0 && tiffOffset + offset + size <= segmentEnd;
+  if (!fits(0, 8)) {
+    return null;
+  }
+  const littleEndian = view.getUint16(tiffOffset) === 0x4949; // "II"
+  const getUint16 = (offset) => view.getUint16(tiffOffset + offset, littleEndian);
+  const getUint32 = (offset) => view.getUint32(tiffOffset + offset, littleEndian);
+  const getInt32 = (offset) => view.getInt32(tiffOffset + offset, littleEndian);
+
+  const readIFD = (ifdOffset) => {
+    if (!fits(ifdOffset, 2)) {
+      return null;
+    }
+    const tags = new Map();
+    const count = getUint16(ifdOffset);
+    if (!fits(ifdOffset, 2 + count * 12 + 4)) {
+      return null;
+    }
+    for (let i = 0; i < count; i++) {
+      const entryOffset = ifdOffset + 2 + i * 12;
+      tags.set(getUint16(entryOffset), {
+        type: getUint16(entryOffset + 2),
+        count: getUint32(entryOffset + 4),
+        valueOffset: entryOffset + 8,
+      });
+    }
+    const nextIFDOffset = getUint32(ifdOffset + 2 + count * 12);
+    return { tags, nextIFDOffset };
+  };
+
+  // RATIONAL (5) and SRATIONAL (10) values are stored out of line
+  const readRational = (tag) => {
+    const pointer = getUint32(tag.valueOffset);
+    if (!fits(pointer, 8)) {
+      return undefined;
+    }
+    const signed = tag.type === 10;
+    const numerator = signed ? getInt32(pointer) : getUint32(pointer);
+    const denominator = signed ? getInt32(pointer + 4) : getUint32(pointer + 4);
+    // 0xFFFFFFFF means "unknown" in the MPF specification
+    if (denominator === 0 || numerator === -1 || numerator === 0xFFFFFFFF) {
+      return undefined;
+    }
+    return numerator / denominator;
+  };
+
+  const readAttributes = (tags) => {
+    const attributes = {};
+    if (tags.has(TAG_MP_INDIVIDUAL_NUM)) {
+      attributes.individualNum = getUint32(tags.get(TAG_MP_INDIVIDUAL_NUM).valueOffset);
+    }
+    if (tags.has(TAG_CONVERGENCE_ANGLE)) {
+      attributes.convergenceAngle = readRational(tags.get(TAG_CONVERGENCE_ANGLE));
+    }
+    if (tags.has(TAG_BASELINE_LENGTH)) {
+      attributes.baselineLength = readRational(tags.get(TAG_BASELINE_LENGTH));
+    }
+    return attributes;
+  };
+
+  const firstIFD = readIFD(getUint32(4));
+  if (!firstIFD) {
+    return null;
+  }
+  const entries = [];
+
+  if (firstIFD.tags.has(TAG_MP_ENTRY)) {
+    // MP Index IFD (first image only), followed by its MP Attribute IFD
+    if (!firstIFD.tags.has(TAG_NUMBER_OF_IMAGES)) {
+      return null;
+    }
+    const numberOfImages = getUint32(firstIFD.tags.get(TAG_NUMBER_OF_IMAGES).valueOffset);
+    const mpEntryOffset = getUint32(firstIFD.tags.get(TAG_MP_ENTRY).valueOffset);
+    if (!fits(mpEntryOffset, numberOfImages * 16)) {
+      return null;
+    }
+    for (let i = 0; i < numberOfImages; i++) {
+      const entryOffset = mpEntryOffset + i * 16;
+      entries.push({
+        type: getUint32(entryOffset) & 0xFFFFFF,
+        size: getUint32(entryOffset + 4),
+        offset: getUint32(entryOffset + 8),
+      });
+    }
+    const attributeIFD = firstIFD.nextIFDOffset ? readIFD(firstIFD.nextIFDOffset) : null;
+    const attributes = attributeIFD ? readAttributes(attributeIFD.tags) : {};
+    return { tiffOffset, entries, attributes };
+  }
+
+  // Individual images only contain an MP Attribute IFD
+  return { tiffOffset, entries, attributes: readAttributes(firstIFD.tags) };
+}
+
+export {readMPO, isMPOBuffer, assembleMPO}
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Splitting of left / right, right / left, top / bottom and bottom / top stereo images, without DOM.
+ */
+
+import { cropImageData } from './image-data.js';
+import { angleOfView, angleOfViewFocalLengthIn35mmFormat } from './angle-of-view.js';
+import { exifTags } from './metadata.js';
+
+const STEREO_TYPES = ['left-right', 'right-left', 'top-bottom', 'bottom-top'];
+
+/**
+ * return left and right eye images and angle of view of a decoded stereo image
+ * @Param {Object} image - decoded image: { data, width, height }, see image-data.js
+ * @Param {Object} (options) - type: 'left-right' (default), 'right-left', 'top-bottom' or 'bottom-top', angle: '180' or '360',
+ *   metadata: as returned by readMetadata(), name: URL or file name of the image
+ * */
+function splitStereo(image, options) {
+  const { width, height } = image;
+  const type = options?.type || 'left-right';
+  if (!STEREO_TYPES.includes(type)) {
+    throw new Error(`Unknown stereo type "${type}", expected one of: ${STEREO_TYPES.join(', ')}`);
+  }
+
+  let leftEye;
+  let rightEye;
+
+  switch(type) {
+    case 'left-right':
+      leftEye = cropImageData(image, 0, 0, width / 2, height);
+      rightEye = cropImageData(image, width / 2, 0, width / 2, height);
+      break;
+    case 'right-left':
+      leftEye = cropImageData(image, width / 2, 0, width / 2, height);
+      rightEye = cropImageData(image, 0, 0, width / 2, height);
+      break;
+    case 'top-bottom':
+      leftEye = cropImageData(image, 0, 0, width, height / 2);
+      rightEye = cropImageData(image, 0, height / 2, width, height / 2);
+      break;
+    case 'bottom-top':
+      leftEye = cropImageData(image, 0, height / 2, width, height / 2);
+      rightEye = cropImageData(image, 0, 0, width, height / 2);
+      break;
+  }
+
+  const angle = angleOfView(leftEye.width, leftEye.height, {
+    angle: options?.angle,
+    exif: exifTags(options?.metadata),
+    name: options?.name,
+  });
+
+  return {leftEye, rightEye, ...angle};
+}
+
+export {splitStereo, angleOfViewFocalLengthIn35mmFormat}
@@ -0,0 +1,279 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Reading of the spherical metadata of stereo videos, without DOM: MP4 (st3d / sv3d boxes, or Spherical Video V1 XML) and WebM (StereoMode / Projection elements).
+ */
+
+// see Spherical Video V2 RFC: https://github.com/google/spatial-media/blob/master/docs/spherical-video-v2-rfc.md
+
+import { angleOfView } from './angle-of-view.js';
+
+// Spherical Video V1 uuid box, containing XML
+const SPHERICAL_V1_UUID = 'ffcc8263f8554a938814587a02521fdd';
+
+// MP4 boxes that contain other boxes, on the way to the video sample entry
+const MP4_CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'sv3d', 'proj'];
+
+// Matroska StereoMode values
+const MATROSKA_STEREO_MODES = {
+  0: 'mono',
+  1: 'left-right',
+  2: 'bottom-top',
+  3: 'top-bottom',
+  11: 'right-left',
+};
+
+// Matroska element IDs
+const EBML_HEADER = 0x1A45DFA3;
+const MKV_SEGMENT = 0x18538067;
+const MKV_TRACKS = 0x1654AE6B;
+const MKV_TRACK_ENTRY = 0xAE;
+const MKV_TRACK_TYPE = 0x83;
+const MKV_VIDEO = 0xE0;
+const MKV_STEREO_MODE = 0x53B8;
+const MKV_PROJECTION = 0x7670;
+const MKV_PROJECTION_TYPE = 0x7671;
+const MKV_PROJECTION_PRIVATE = 0x7672;
+const MKV_CLUSTER = 0x1F43B675;
+
+/**
+ * Angle of view of the eyes of a video
+ * @Param {number} eyeWidth, eyeHeight - size of one eye, in pixels
+ * @Param {Object} metadata - as returned by readMP4Metadata() or readWebMMetadata()
+ * @Param {Object} (options) - angle: '180' or '360', overrides metadata
+ * @Returns {Object} {phiLength, thetaStart, thetaLength}, in radians
+ * */
+function videoAngleOfView(eyeWidth, eyeHeight, metadata, options) {
+  if (!options?.angle && metadata?.projection === 'equirectangular') {
+    const bounds = metadata.bounds || { top: 0, bottom: 0, left: 0, right: 0 };
+    return {
+      phiLength: Math.PI * 2 * (1 - bounds.left - bounds.right),
+      thetaStart: Math.PI * bounds.top,
+      thetaLength: Math.PI * (1 - bounds.top - bounds.bottom),
+    };
+  }
+  if (!options?.angle && metadata?.projection === 'mesh') {
+    // VR180 cameras describe their fisheye lenses with a mesh, which covers a half sphere once stitched
+    return angleOfView(eyeWidth, eyeHeight, { angle: '180' });
+  }
+  // flat videos: same focal length as flat pictures without metadata
+  return angleOfView(eyeWidth, eyeHeight, { angle: options?.angle, defaultFocalLength: 27 });
+}
+
+/**
+ * Read stereo mode and projection from the moov box of an MP4 file
+ * @Param {DataView} view - containing the moov box
+ * @Param {number} (start), (end) - area of view to read, the whole view by default
+ * @Returns {Object} stereoMode: 'mono', 'left-right', 'top-bottom'... projection: 'equirectangular', 'mesh' (VR180) or undefined, bounds: cropped fraction of each side
+ * */
+function readMP4Metadata(view, start = 0, end = view.byteLength) {
+  const metadata = {};
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      const type = fourCC(view, offset + 4);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(view.getBigUint64(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize) {
+        return;
+      }
+      const boxEnd = Math.min(offset + size, end);
+      const content = offset + headerSize;
+
+      if (MP4_CONTAINER_BOXES.includes(type)) {
+        walk(content, boxEnd);
+      } else if (type === 'stsd') {
+        // FullBox header and entry count, then sample entries
+        walk(content + 8, boxEnd);
+      } else if (['avc1', 'avc3', 'hvc1', 'hev1', 'vp08', 'vp09', 'av01', 'mp4v'].includes(type)) {
+        // SampleEntry and VisualSampleEntry fields, then child boxes
+        walk(content + 78, boxEnd);
+      } else if (type === 'st3d') {
+        metadata.stereoMode = ['mono', 'top-bottom', 'left-right'][view.getUint8(content + 4)];
+      } else if (type === 'equi') {
+        metadata.projection = 'equirectangular';
+        const bound = (i) => view.getUint32(content + 4 + i * 4) / 2 ** 32;
+        metadata.bounds = { top: bound(0), bottom: bound(1), left: bound(2), right: bound(3) };
+      } else if (type === 'mshp') {
+        // mesh projection, the mesh itself is not needed to display the video on a half sphere
+        metadata.projection = 'mesh';
+      } else if (type === 'uuid' && uuid(view, content) === SPHERICAL_V1_UUID) {
+        readSphericalV1(new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + content + 16, boxEnd - content - 16)), metadata);
+      }
+
+      offset = boxEnd;
+    }
+  };
+
+  walk(start, end);
+  return metadata;
+}
+
+/** Spherical Video V1 stores an XML document with GSpherical tags */
+function readSphericalV1(xml, metadata) {
+  const tag = (name) => xml.match(new RegExp(`<GSpherical:${name}>([^<]*)</GSpherical:${name}>`))?.[1];
+
+  // V1 stereo modes are 'mono', 'top-bottom' or 'left-right'
+  if (!metadata.stereoMode && tag('StereoMode')) {
+    metadata.stereoMode = tag('StereoMode');
+  }
+  if (!metadata.projection && tag('ProjectionType') === 'equirectangular') {
+    metadata.projection = 'equirectangular';
+    const fullWidth = Number(tag('FullPanoWidthPixels'));
+    const fullHeight = Number(tag('FullPanoHeightPixels'));
+    const croppedWidth = Number(tag('CroppedAreaImageWidthPixels'));
+    const croppedHeight = Number(tag('CroppedAreaImageHeightPixels'));
+    if (fullWidth && fullHeight && croppedWidth && croppedHeight) {
+      const left = Number(tag('CroppedAreaLeftPixels') || 0) / fullWidth;
+      const top = Number(tag('CroppedAreaTopPixels') || 0) / fullHeight;
+      metadata.bounds = {
+        top,
+        bottom: 1 - top - croppedHeight / fullHeight,
+        left,
+        right: 1 - left - croppedWidth / fullWidth,
+      };
+    }
+  }
+}
+
+/**
+ * Read stereo mode and projection from the headers of a WebM / Matroska file
+ * @Param {DataView} view - start of the file
+ * @Returns {Object} same as readMP4Metadata()
+ * */
+function readWebMMetadata(view) {
+  const metadata = {};
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(view, offset, true);
+      if (!id) {
+        return false;
+      }
+      const size = readVint(view, offset + id.length, false);
+      if (!size) {
+        return false;
+      }
+      const content = offset + id.length + size.length;
+      // unknown sizes extend to the end of the parent
+      const elementEnd = size.value === -1 ? end : Math.min(content + size.value, end);
+
+      if (id.value === MKV_CLUSTER) {
+        // media data, headers are over
+        return false;
+      } else if ([MKV_SEGMENT, MKV_TRACKS, MKV_TRACK_ENTRY, MKV_VIDEO, MKV_PROJECTION].includes(id.value)) {
+        if (id.value === MKV_TRACK_ENTRY && !isVideoTrack(view, content, elementEnd)) {
+          offset = elementEnd;
+          continue;
+        }
+        if (walk(content, elementEnd) === false) {
+          return false;
+        }
+      } else if (id.value === MKV_STEREO_MODE) {
+        metadata.stereoMode = MATROSKA_STEREO_MODES[readUint(view, content, elementEnd - content)];
+      } else if (id.value === MKV_PROJECTION_TYPE) {
+        const projectionType = readUint(view, content, elementEnd - content);
+        if (projectionType === 1) {
+          metadata.projection = 'equirectangular';
+        } else if (projectionType === 3) {
+          metadata.projection = 'mesh';
+        }
+      } else if (id.value === MKV_PROJECTION_PRIVATE && elementEnd - content >= 20) {
+        // same layout as the equi box: version and flags, then bounds
+        const bound = (i) => view.getUint32(content + 4 + i * 4) / 2 ** 32;
+        metadata.bounds = { top: bound(0), bottom: bound(1), left: bound(2), right: bound(3) };
+      }
+
+      offset = elementEnd;
+    }
+    return true;
+  };
+
+  const isVideoTrack = (start, end) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(view, offset, true);
+      const size = id && readVint(view, offset + id.length, false);
+      if (!size || size.value === -1) {
+        return true;
+      }
+      const content = offset + id.length + size.length;
+      if (id.value === MKV_TRACK_TYPE) {
+        return readUint(view, content, size.value) === 1;
+      }
+      offset = content + size.value;
+    }
+    return true;
+  };
+
+  walk(0, view.byteLength);
+  return metadata;
+}
+
+/** read an EBML variable length integer, element IDs keep their length marker */
+function readVint(view, offset, keepMarker) {
+  if (offset >= view.byteLength) {
+    return null;
+  }
+  const first = view.getUint8(offset);
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8 || offset + length > view.byteLength) {
+    return null;
+  }
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    const byte = view.getUint8(offset + i);
+    allOnes = allOnes && byte === 0xFF;
+    value = value * 256 + byte;
+  }
+  if (!keepMarker && allOnes) {
+    value = -1;
+  }
+  return { value, length };
+}
+
+function readUint(view, offset, length) {
+  let value = 0;
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    value = value * 256 + view.getUint8(offset + i);
+  }
+  return value;
+}
+
+function fourCC(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+function uuid(view, offset) {
+  let result = '';
+  for (let i = 0; i < 16 && offset + i < view.byteLength; i++) {
+    result += view.getUint8(offset + i).toString(16).padStart(2, '0');
+  }
+  return result;
+}
+
+export {readMP4Metadata, readWebMMetadata, videoAngleOfView, fourCC, EBML_HEADER}
@@ -0,0 +1,77 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Interpretation of VR pictures metadata, without DOM: Cardboard camera, Pixel Camera panorama, VR180 pictures...
+ */
+
+// see official spec at https://developers.google.com/vr/reference/cardboard-camera-vr-photo-format
+
+import { cropImageData } from './image-data.js';
+import { angleOfView, gpanoAngleOfView, gpanoInitialView } from './angle-of-view.js';
+
+/**
+ * return the right eye picture embedded in the GImage XMP metadata, null if there is none
+ * @Param {Object} metadata - as returned by readMetadata()
+ * @Returns {ArrayBuffer|null} encoded picture, usually JPEG
+ * */
+function vrRightEyeBuffer(metadata) {
+  const data = metadata?.GImage?.Data;
+  if (!data) {
+    return null;
+  }
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * return left and right eye images and angle of view of a VR picture
+ * @Param {Object} leftEye - decoded main picture: { data, width, height }, see image-data.js
+ * @Param {Object} rightEye - decoded picture of vrRightEyeBuffer(), null if there is none: the picture is mono, see assemblePhotosphere()
+ * @Param {Object} metadata - as returned by readMetadata()
+ * @Returns {Object} {leftEye, rightEye, phiLength, thetaStart, thetaLength, (roll), (pitch), initialView, (stereo)}, see gpanoInitialView()
+ * */
+function assembleVR(leftEye, rightEye, metadata) {
+  if (!rightEye) {
+    console.warn('No right eye data found in XMP of image, displaying it in mono');
+    return assemblePhotosphere(leftEye, metadata);
+  }
+
+  const result = {leftEye, ...gpanoAngleOfView(metadata?.GPano), initialView: gpanoInitialView(metadata?.GPano)};
+
+  // the right eye is expected to have the size of the left eye
+  const sameSize = rightEye.width === leftEye.width && rightEye.height === leftEye.height;
+  result.rightEye = sameSize ? rightEye : cropImageData(rightEye, 0, 0, leftEye.width, leftEye.height);
+
+  return result;
+}
+
+/**
+ * return a mono panorama, like a Photo Sphere, with the same image for both eyes
+ * @Param {Object} image - decoded picture: { data, width, height }, see image-data.js
+ * @Param {Object} metadata - as returned by readMetadata()
+ * @Param {Object} (options) - angle: '180' or '360' if GPano metadata does not tell, full sphere by default
+ * @Returns {Object} {leftEye, rightEye, phiLength, thetaStart, thetaLength, (roll), (pitch), initialView, stereo: false}
+ * */
+function assemblePhotosphere(image, metadata, options) {
+  const gpano = metadata?.GPano;
+  const angle = gpano?.FullPanoWidthPixels ? gpanoAngleOfView(gpano) : angleOfView(image.width, image.height, { angle: options?.angle || '360' });
+  return {leftEye: image, rightEye: image, ...angle, initialView: gpanoInitialView(gpano), stereo: false};
+}
+
+export {vrRightEyeBuffer, assembleVR, assemblePhotosphere}
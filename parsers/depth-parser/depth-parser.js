@@ -0,0 +1,51 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Parser for depth map photos: portrait mode pictures with a GDepth or Dynamic Depth depth map, displayed as synthesized stereo
+ */
+
+import { readSource, decodeImage } from '../utils.js';
+import { readMetadata } from '../core/metadata.js';
+import { depthMapInfo, assembleDepth } from '../core/depth-core.js';
+
+/**
+ * read the image from source (URL, Blob, File or ArrayBuffer)
+ * return left and right eyes synthesized from the image and its embedded depth map
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - angle: '180' or '360', depthScale: multiplies the disparity, onPreview: called with mono stereo data, before the depth map is decoded
+ * */
+async function parseDepth(source, options) {
+  const buffer = await readSource(source);
+  const metadata = await readMetadata(buffer);
+  const assembleOptions = {
+    angle: options?.angle,
+    metadata,
+    depthScale: options?.depthScale,
+  };
+
+  const image = await decodeImage(buffer);
+  options?.onPreview?.(assembleDepth(image, null, null, assembleOptions));
+
+  const depthInfo = depthMapInfo(metadata, buffer);
+  if (!depthInfo) {
+    const err = "No depth map found in XMP of image";
+    return {...assembleDepth(image, null, null, assembleOptions), error: err};
+  }
+  const depthMap = await decodeImage(depthInfo.buffer, depthInfo.mime);
+
+  return assembleDepth(image, depthMap, depthInfo, assembleOptions);
+}
+
+export {parseDepth}
@@ -0,0 +1,254 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Guess the layout of a stereo picture from its pixels, for pictures without type or metadata.
+ * Both eyes of a stereo pair look alike once shifted horizontally by their disparity:
+ * compare left and right halves, top and bottom halves, and the channels seen through each anaglyph filter.
+ */
+
+import { readSource } from '../utils.js';
+import { ANAGLYPH_COLORS } from '../core/anaglyph-core.js';
+
+// Pixels are analysed on a downscaled image no wider than this
+const ANALYSIS_MAX_WIDTH = 256;
+// Maximum disparity searched, as a fraction of eye width
+const MAX_DISPARITY_RATIO = 0.1;
+// Eyes are compared by blocks of a grid, disparity varies from block to block
+const HALVES_GRID = 4;
+const ANAGLYPH_GRID = 8;
+// Blocks with a lower standard deviation (in 0-255 intensity) are too flat to be compared
+const MIN_BLOCK_DEVIATION = 4;
+// An anaglyph is certain when shifting channels improves their correlation by this much
+const ANAGLYPH_CERTAIN_GAIN = 0.2;
+// Channels with a lower standard deviation are considered empty
+const MIN_CHANNEL_DEVIATION = 8;
+// Score factor of glasses that do not explain which channels are empty
+const IMPLAUSIBLE_COLORS_FACTOR = 0.5;
+// Glasses are listed from the most common, less common ones must score higher by this margin
+const ANAGLYPH_COLORS_MARGIN = 0.05;
+// Layouts scoring lower are not considered stereo
+const MIN_SCORE = 0.5;
+// Tolerance on the 2:1 ratio of eyes of equirectangular 360° pictures
+const EQUIRECTANGULAR_TOLERANCE = 0.02;
+
+/**
+ * read the image from source (URL, Blob, File or ArrayBuffer) and guess its layout
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Returns {Promise<Object>} see detectLayoutFromPixels()
+ * */
+async function detectLayout(source) {
+  // no <img> and <canvas> elements, so that it also works in Workers
+  const bitmap = await createImageBitmap(new Blob([await readSource(source)]));
+  try {
+    const scale = Math.min(1, ANALYSIS_MAX_WIDTH / bitmap.width);
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = new OffscreenCanvas(width, height).getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    return detectLayoutFromPixels({ data, width, height }, bitmap.width / bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * guess the layout of a picture from its RGBA pixels, preferably downscaled
+ * @Param {Object} imageData - { data, width, height }, as returned by CanvasRenderingContext2D.getImageData()
+ * @Param {number} (aspectRatio) - aspect ratio of the original picture, defaults to the one of imageData
+ * @Returns {Object} {
+ *   type: 'left-right', 'top-bottom', 'anaglyph', or null if the picture does not look stereo,
+ *   confidence: from 0 to 1, how much the type stands out from other layouts,
+ *   angle: '360' if eyes are equirectangular, undefined otherwise,
+ *   anaglyphColors: glasses colors for 'anaglyph' type,
+ *   scores: score of each layout, from 0 to 1
+ * }
+ * */
+function detectLayoutFromPixels(imageData, aspectRatio) {
+  const { data, width, height } = imageData;
+  aspectRatio = aspectRatio || width / height;
+  const gray = filterIntensity(data, [0, 1, 2]);
+
+  const scores = {};
+
+  // left and right halves
+  const halfWidth = Math.floor(width / 2);
+  scores['left-right'] = matchEyes(
+    crop(gray, width, 0, 0, halfWidth, height),
+    crop(gray, width, width - halfWidth, 0, halfWidth, height),
+    halfWidth, height, HALVES_GRID).best * eyeRatioLikelihood(aspectRatio / 2);
+
+  // top and bottom halves, disparity is still horizontal
+  const halfHeight = Math.floor(height / 2);
+  scores['top-bottom'] = matchEyes(
+    crop(gray, width, 0, 0, width, halfHeight),
+    crop(gray, width, 0, height - halfHeight, width, halfHeight),
+    width, halfHeight, HALVES_GRID).best * eyeRatioLikelihood(aspectRatio * 2);
+
+  // channels seen through each filter match once shifted, while channels of a regular picture already match
+  const channelUsed = [0, 1, 2].map((c) => deviation(filterIntensity(data, [c])) >= MIN_CHANNEL_DEVIATION);
+  let anaglyphColors;
+  scores['anaglyph'] = 0;
+  for (const [colors, filters] of Object.entries(ANAGLYPH_COLORS)) {
+    const { best, zero } = matchEyes(filterIntensity(data, filters.left), filterIntensity(data, filters.right), width, height, ANAGLYPH_GRID);
+    let score = best * clamp((best - zero) / ANAGLYPH_CERTAIN_GAIN, 0, 1);
+    // channels seen through a filter carry an eye, channels seen through none are left empty
+    const seen = [...filters.left, ...filters.right];
+    if (!channelUsed.every((used, c) => used === seen.includes(c))) {
+      score *= IMPLAUSIBLE_COLORS_FACTOR;
+    }
+    if (score > scores['anaglyph'] + (anaglyphColors ? ANAGLYPH_COLORS_MARGIN : 0)) {
+      scores['anaglyph'] = score;
+      anaglyphColors = colors;
+    }
+  }
+
+  const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+  const best = scores[ranked[0]];
+  const second = scores[ranked[1]];
+
+  if (best < MIN_SCORE) {
+    return { type: null, confidence: clamp((MIN_SCORE - best) / MIN_SCORE, 0, 1), scores };
+  }
+
+  const type = ranked[0];
+  const result = { type, confidence: clamp((best - second) / (1 - second), 0, 1), scores };
+  if (type === 'anaglyph') {
+    result.anaglyphColors = anaglyphColors;
+  }
+  const eyeRatio = type === 'left-right' ? aspectRatio / 2 : type === 'top-bottom' ? aspectRatio * 2 : aspectRatio;
+  if (Math.abs(eyeRatio / 2 - 1) < EQUIRECTANGULAR_TOLERANCE) {
+    result.angle = '360';
+  }
+  return result;
+}
+
+/**
+ * compare two eye intensity images, block by block, searching the best horizontal shift of each block
+ * return the mean normalized cross-correlation of blocks, at their best shift and without shift
+ * */
+function matchEyes(left, right, width, height, grid) {
+  const maxShift = Math.round(width * MAX_DISPARITY_RATIO);
+  const blockWidth = Math.ceil(width / grid);
+  const blockHeight = Math.ceil(height / grid);
+  let bestSum = 0;
+  let zeroSum = 0;
+  let count = 0;
+
+  for (let by = 0; by < height; by += blockHeight) {
+    for (let bx = 0; bx < width; bx += blockWidth) {
+      const x1 = Math.min(bx + blockWidth, width);
+      const y1 = Math.min(by + blockHeight, height);
+      let best = -1;
+      let zero = 0;
+      let textured = true;
+      for (let shift = -maxShift; shift <= maxShift; shift++) {
+        const ncc = blockCorrelation(left, right, width, Math.max(bx, -shift), by, Math.min(x1, width - shift), y1, shift);
+        if (ncc === null) {
+          textured = false;
+          break;
+        }
+        best = Math.max(best, ncc);
+        if (shift === 0) {
+          zero = ncc;
+        }
+      }
+      if (textured) {
+        bestSum += best;
+        zeroSum += zero;
+        count++;
+      }
+    }
+  }
+
+  if (count === 0) {
+    return { best: 0, zero: 0 };
+  }
+  return { best: Math.max(0, bestSum / count), zero: Math.max(0, zeroSum / count) };
+}
+
+/** normalized cross-correlation of left block with right block shifted by shift, null if the left block is flat */
+function blockCorrelation(left, right, width, x0, y0, x1, y1, shift) {
+  let n = 0, sumL = 0, sumR = 0, sumLL = 0, sumRR = 0, sumLR = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const l = left[y * width + x];
+      const r = right[y * width + x + shift];
+      sumL += l;
+      sumR += r;
+      sumLL += l * l;
+      sumRR += r * r;
+      sumLR += l * r;
+      n++;
+    }
+  }
+  if (n === 0) {
+    return null;
+  }
+  const varL = sumLL / n - (sumL / n) ** 2;
+  const varR = sumRR / n - (sumR / n) ** 2;
+  if (varL < MIN_BLOCK_DEVIATION ** 2) {
+    return null;
+  }
+  if (varR <= 0) {
+    return 0;
+  }
+  return (sumLR / n - (sumL / n) * (sumR / n)) / Math.sqrt(varL * varR);
+}
+
+/** how plausible an eye with this aspect ratio is, pictures are rarely more elongated than 2:1 */
+function eyeRatioLikelihood(eyeRatio) {
+  const elongation = Math.max(eyeRatio, 1 / eyeRatio);
+  return elongation <= 2 + EQUIRECTANGULAR_TOLERANCE ? 1 : 0.5;
+}
+
+/** standard deviation of values */
+function deviation(values) {
+  let sum = 0;
+  let sumSquares = 0;
+  for (const value of values) {
+    sum += value;
+    sumSquares += value * value;
+  }
+  return Math.sqrt(Math.max(0, sumSquares / values.length - (sum / values.length) ** 2));
+}
+
+function crop(intensity, width, x0, y0, cropWidth, cropHeight) {
+  const cropped = new Float32Array(cropWidth * cropHeight);
+  for (let y = 0; y < cropHeight; y++) {
+    cropped.set(intensity.subarray((y0 + y) * width + x0, (y0 + y) * width + x0 + cropWidth), y * cropWidth);
+  }
+  return cropped;
+}
+
+/** mean of the given channels of each pixel */
+function filterIntensity(data, channels) {
+  const intensity = new Float32Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    let sum = 0;
+    for (const c of channels) {
+      sum += data[i + c];
+    }
+    intensity[p] = sum / channels.length;
+  }
+  return intensity;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export {detectLayout, detectLayoutFromPixels}
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Parser for MPO (Multi-Picture Object) files: Fujifilm FinePix REAL 3D, Nintendo 3DS, stereo cameras...
+ */
+
+import { readSource, decodeImage } from '../utils.js';
+import { readMetadata } from '../core/metadata.js';
+import { readMPO, isMPOBuffer, assembleMPO } from '../core/mpo-core.js';
+
+/**
+ * read the image from source (URL, Blob, File or ArrayBuffer)
+ * return left and right eye images from the first two disparity images of the MPO file
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - Parsing options: angle: '180' or '360', onPreview: called with mono stereo data of the left eye, before the right eye is decoded
+ * */
+async function parseMPO(source, options) {
+  const mpo = readMPO(await readSource(source));
+  const assembleOptions = {
+    angle: options?.angle,
+    metadata: await readMetadata(mpo.left),
+  };
+
+  const leftEye = await decodeImage(mpo.left, 'image/jpeg');
+  options?.onPreview?.(assembleMPO(leftEye, leftEye, mpo, assembleOptions));
+  const rightEye = await decodeImage(mpo.right, 'image/jpeg');
+
+  return assembleMPO(leftEye, rightEye, mpo, assembleOptions);
+}
+
+/**
+ * Return true if the image is a Multi-Picture Object containing at least two images
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * */
+async function isMPO(source) {
+  return isMPOBuffer(await readSource(source));
+}
+
+export {parseMPO, isMPO}
\ No newline at end of file
@@ -12,107 +12,51 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import exifr from 'exifr'
+import { readSource, sourceName, decodeImage } from '../utils.js';
+import { readMetadata } from '../core/metadata.js';
+import { splitStereo, angleOfViewFocalLengthIn35mmFormat } from '../core/stereo-core.js';
+import { splitDualFisheye } from '../core/fisheye-core.js';
+import { splitCubemap } from '../core/cubemap-core.js';
 
 /**
- * fetch the image from URL
+ * read the image from source (URL, Blob, File or ArrayBuffer)
  * return left and right eye images from either left / right, right / left, top / bottom, bottom / top. 
- * @Param {string} url - image url
- * @Param {Object} (options) - Parsing options: type: 'left-right' (default), 'right-left' or 'top-bottom', angle: '180' or '360'
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - Parsing options: type: 'left-right' (default), 'right-left' or 'top-bottom', angle: '180' or '360', name: URL or file name of the image, if source is a buffer
  * */
-async function parseStereo(url, options) {
-  const image = await createImageFromURL(url);
-  //image.crossOrigin = "Anonymous";
-  
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  const width = image.width;
-  const height = image.height;
-  canvas.width = width;
-  canvas.height = height;
-  ctx.drawImage(image, 0, 0);
-
-  const exif = await exifr.parse(url, {
-    xmp: true,
-    multiSegment: true
-  })
-
-  const type = options.type || 'left-right';
-
-  let leftEye;
-  let rightEye;
-
-  switch(type) {
-    case 'left-right':
-      leftEye =  ctx.getImageData(0, 0, width / 2, height);
-      rightEye = ctx.getImageData(width / 2, 0, width / 2, height);
-      break;
-    case 'right-left':
-      leftEye =  ctx.getImageData(width / 2, 0, width / 2, height);
-      rightEye = ctx.getImageData(0, 0, width / 2, height);
-      break;
-    case 'top-bottom':
-      leftEye = ctx.getImageData(0, 0, width, height / 2); 
-      rightEye = ctx.getImageData(0, height / 2, width, height / 2);
-      break;
-    case 'bottom-top':
-      leftEye = ctx.getImageData(0, height / 2, width, height / 2);
-      rightEye = ctx.getImageData(0, 0, width, height / 2);
-      break;
-  }
-  
-  let angleOfViewFocalLengthIn35mmFormat = function(focalLengthIn35mmFormat) {
-    // https://en.wikipedia.org/wiki/Angle_of_view#Common_lens_angles_of_view
-    // https://en.wikipedia.org/wiki/35_mm_equivalent_focal_length
-    // angle of view on the diagonal (35mm is 24 mm (vertically) × 36 mm (horizontal), giving a diagonal of about 43.3 mm)
-    const diagonalAngle = 2 * Math.atan(43.3 / (2 * focalLengthIn35mmFormat));
-    // Pi / 4 for a square.
-    const halfAngle = Math.atan(height / (width / 2));
-    const horizontalAngle = diagonalAngle * Math.cos(halfAngle);
-    const verticalAngle = diagonalAngle * Math.sin(halfAngle);
-
-    return {diagonalAngle, horizontalAngle, verticalAngle};
-  }
-
-  let phiLength;
-  let thetaLength;
-
-  if(options?.angle === "180" || options?.angle === 180) {
-    phiLength = Math.PI;
-    thetaLength = Math.PI;
-  } else if(options?.angle === "360" || options?.angle === 360) {
-    phiLength = Math.PI * 2;
-    thetaLength = Math.PI;
-  } else if(exif?.FocalLengthIn35mmFormat) {
-    const angle = angleOfViewFocalLengthIn35mmFormat(exif.FocalLengthIn35mmFormat);
-    phiLength = angle.horizontalAngle;
-    thetaLength = angle.verticalAngle;
-  } else if(exif?.Make === 'GoPro' || url.includes('gopro') || url.includes('GOPR') ) {
-    // GoPro (https://gopro.com/help/articles/question_answer/hero7-field-of-view-fov-information?sf96748270=1)
-    phiLength = 2.1397737;
-    thetaLength = 1.647591;
-  } else {
-    const assumeFocalLengthIn35mmFormat = 27;
-    const angle = angleOfViewFocalLengthIn35mmFormat(assumeFocalLengthIn35mmFormat);
-    phiLength = angle.horizontalAngle;
-    thetaLength = angle.verticalAngle;
-  }
-
-  const thetaStart = Math.PI / 2 - thetaLength / 2;
+async function parseStereo(source, options) {
+  const buffer = await readSource(source);
+  const image = await decodeImage(buffer);
+  const metadata = await readMetadata(buffer);
+
+  return splitStereo(image, {
+    type: options?.type,
+    angle: options?.angle,
+    metadata,
+    name: options?.name || sourceName(source),
+  });
+}
 
-  return {leftEye, rightEye, phiLength, thetaStart, thetaLength};
+/**
+ * read the dual fisheye image from source (URL, Blob, File or ArrayBuffer), as captured by unstitched VR180 cameras
+ * return left and right fisheye eye images, projected on the sphere when rendered
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - lensFov, leftCircle, rightCircle, see splitDualFisheye()
+ * */
+async function parseDualFisheye(source, options) {
+  const buffer = await readSource(source);
+  return splitDualFisheye(await decodeImage(buffer), options);
 }
 
-async function createImageFromURL(url) {
-  const image = new Image();
-  image.src = url;
-  return new Promise((resolve, reject) => {
-    image.onload = () => {
-      URL.revokeObjectURL(url);
-      resolve(image);
-    };
-    image.onerror = reject;
-  });
+/**
+ * read the stereo cubemap from source (URL, Blob, File or ArrayBuffer)
+ * return left and right eye images, with the position of each face
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - layout, order, see splitCubemap()
+ * */
+async function parseCubemap(source, options) {
+  const buffer = await readSource(source);
+  return splitCubemap(await decodeImage(buffer), options);
 }
 
-export {parseStereo}
\ No newline at end of file
+export {parseStereo, parseDualFisheye, parseCubemap, angleOfViewFocalLengthIn35mmFormat}
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Helpers shared by the browser parsers, see core/ for DOM-free parsing.
+ * A source is a URL, a Blob (or File), an ArrayBuffer or a typed array.
+ */
+
+/**
+ * Read the whole source into an ArrayBuffer, fetching URLs only once
+ * @Param {string|Blob|ArrayBuffer|ArrayBufferView} source
+ * @Param {Function} (onProgress) - called with { loaded, total } bytes while fetching URLs, total is 0 when unknown
+ * @Returns {Promise<ArrayBuffer>}
+ * */
+async function readSource(source, onProgress) {
+  if (source instanceof ArrayBuffer) {
+    return source;
+  }
+  if (ArrayBuffer.isView(source)) {
+    return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+  }
+  if (source instanceof Blob) {
+    return source.arrayBuffer();
+  }
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${source}: ${response.status} ${response.statusText}`);
+  }
+  if (!onProgress || !response.body) {
+    return response.arrayBuffer();
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total: Math.max(total, loaded) });
+  }
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes.buffer;
+}
+
+/** URL or file name of the source, empty for buffers */
+function sourceName(source) {
+  if (typeof source === 'string') {
+    return source;
+  }
+  return source?.name || '';
+}
+
+/** decode the image contained in the buffer */
+async function createImageFromBuffer(buffer, type) {
+  const url = URL.createObjectURL(new Blob([buffer], { type }));
+  try {
+    return await createImageFromURL(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function createImageFromURL(url) {
+  const image = new Image();
+  image.src = url;
+  return new Promise((resolve, reject) => {
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+  });
+}
+
+/**
+ * decode the image contained in the buffer into its pixels
+ * @Returns {Promise<ImageData>}
+ * */
+async function decodeImage(buffer, type) {
+  if (typeof document === 'undefined') {
+    // Workers have no <img> and <canvas> elements
+    const bitmap = await createImageBitmap(new Blob([buffer], { type }));
+    const ctx = new OffscreenCanvas(bitmap.width, bitmap.height).getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+  }
+  const image = await createImageFromBuffer(buffer, type);
+  return canvasContextFromImage(image).getImageData(0, 0, image.width, image.height);
+}
+
+/** draw the image on a canvas of the same size, to read its pixels */
+function canvasContextFromImage(image) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  ctx.drawImage(image, 0, 0);
+  return ctx;
+}
+
+export {readSource, sourceName, decodeImage, createImageFromBuffer, canvasContextFromImage}
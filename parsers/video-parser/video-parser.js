@@ -0,0 +1,266 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Parser for stereo videos: VR180 and 360 videos with spherical metadata, side-by-side and top-bottom MP4 / WebM.
+ */
+
+import { readMP4Metadata, readWebMMetadata, videoAngleOfView, fourCC, EBML_HEADER } from '../core/video-core.js';
+
+// major brands of pictures stored in ISO base media files
+const IMAGE_BRANDS = ['heic', 'heix', 'mif1', 'msf1', 'avif', 'avis'];
+
+// WebM headers are at the start of the file
+const WEBM_HEADER_BYTES = 1024 * 1024;
+
+// object URLs created for Blob and ArrayBuffer sources, by video element, revoked by releaseVideo()
+const objectURLs = new WeakMap();
+
+/**
+ * Return true if the source is a video: based on the extension or data URL MIME type of URLs, the type or name of Blobs and Files, or the content of ArrayBuffers
+ * @Param {string|Blob|ArrayBuffer} source - video url or content
+ * */
+function isVideoSource(source) {
+  if (typeof source === 'string') {
+    return /^data:video\//.test(source) || /\.(mp4|m4v|mov|webm|mkv)([?#]|$)/i.test(source);
+  }
+  if (source instanceof Blob) {
+    return source.type.startsWith('video/') || isVideoSource(source.name || '');
+  }
+  if (source instanceof ArrayBuffer && source.byteLength >= 8) {
+    const view = new DataView(source);
+    // EBML header of WebM / Matroska, or ftyp box of MP4 / QuickTime, but not of HEIF or AVIF pictures
+    return view.getUint32(0) === EBML_HEADER
+      || (fourCC(view, 4) === 'ftyp' && !(source.byteLength >= 12 && IMAGE_BRANDS.includes(fourCC(view, 8))));
+  }
+  return false;
+}
+
+/**
+ * load the video from source (URL, Blob, File or ArrayBuffer) and read its spherical metadata
+ * return the video element, the area of each eye in the video frame and the angle of view
+ * @Param {string|Blob|ArrayBuffer} source - video url or content
+ * @Param {Object} (options) - Parsing options: type: 'left-right', 'right-left', 'top-bottom' or 'bottom-top' (defaults to metadata), angle: '180' or '360'
+ * */
+async function parseVideo(source, options) {
+  // videos are streamed by the browser, only URLs can be played
+  let url = source;
+  if (typeof source !== 'string') {
+    url = URL.createObjectURL(source instanceof Blob ? source : new Blob([source]));
+  }
+
+  let metadata = {};
+  try {
+    metadata = await readSphericalMetadata(url);
+  } catch (e) {
+    console.warn('Could not read spherical metadata of video', e);
+  }
+
+  let video;
+  try {
+    video = await createVideoFromURL(url);
+  } catch (e) {
+    if (url !== source) {
+      URL.revokeObjectURL(url);
+    }
+    throw e;
+  }
+  if (url !== source) {
+    objectURLs.set(video, url);
+  }
+  const width = video.videoWidth;
+  const height = video.videoHeight;
+
+  let type = options?.type;
+  if (!type) {
+    if (metadata.stereoMode) {
+      type = metadata.stereoMode;
+    } else {
+      console.warn('<stereo-img> does not have a "type" attribute and video does not have stereo metadata. Use "type" attribute to specify the type of stereoscopic video. Assuming left-right stereo video.');
+      type = 'left-right';
+    }
+  }
+
+  // eye areas, in texture coordinates: v = 0 is the bottom of the frame
+  const full = { x: 0, y: 0, width: 1, height: 1 };
+  const leftHalf = { x: 0, y: 0, width: 0.5, height: 1 };
+  const rightHalf = { x: 0.5, y: 0, width: 0.5, height: 1 };
+  const topHalf = { x: 0, y: 0.5, width: 1, height: 0.5 };
+  const bottomHalf = { x: 0, y: 0, width: 1, height: 0.5 };
+
+  let leftEyeRect;
+  let rightEyeRect;
+  switch(type) {
+    case 'mono':
+      leftEyeRect = full;
+      rightEyeRect = full;
+      break;
+    case 'right-left':
+      leftEyeRect = rightHalf;
+      rightEyeRect = leftHalf;
+      break;
+    case 'top-bottom':
+      leftEyeRect = topHalf;
+      rightEyeRect = bottomHalf;
+      break;
+    case 'bottom-top':
+      leftEyeRect = bottomHalf;
+      rightEyeRect = topHalf;
+      break;
+    case 'left-right':
+    default:
+      leftEyeRect = leftHalf;
+      rightEyeRect = rightHalf;
+      break;
+  }
+
+  const eyeWidth = width * leftEyeRect.width;
+  const eyeHeight = height * leftEyeRect.height;
+
+  const angle = videoAngleOfView(eyeWidth, eyeHeight, metadata, options);
+
+  return {video, leftEyeRect, rightEyeRect, ...angle};
+}
+
+/**
+ * Read stereo mode and projection from MP4 (st3d / sv3d boxes, or Spherical Video V1 XML) or WebM (StereoMode / Projection elements)
+ * @Returns {Object} see readMP4Metadata()
+ * */
+async function readSphericalMetadata(url) {
+  const ranges = createRangeReader(url);
+  try {
+    return await readSphericalMetadataRanges(ranges);
+  } finally {
+    ranges.close();
+  }
+}
+
+async function readSphericalMetadataRanges(ranges) {
+  const fetchRange = ranges.read;
+  const header = new DataView(await fetchRange(0, 16));
+  if (header.byteLength >= 4 && header.getUint32(0) === EBML_HEADER) {
+    return readWebMMetadata(new DataView(await fetchRange(0, WEBM_HEADER_BYTES)));
+  }
+
+  // MP4: find the top level moov box, which can be after the media data
+  let offset = 0;
+  while (true) {
+    const boxHeader = new DataView(await fetchRange(offset, offset + 16));
+    if (boxHeader.byteLength < 8) {
+      return {};
+    }
+    let size = boxHeader.getUint32(0);
+    const type = fourCC(boxHeader, 4);
+    if (size === 1) {
+      size = Number(boxHeader.getBigUint64(8));
+    }
+    if (type === 'moov') {
+      const moov = new DataView(await fetchRange(offset, size === 0 ? Infinity : offset + size));
+      return readMP4Metadata(moov, 0, moov.byteLength);
+    }
+    if (size < 8) {
+      return {};
+    }
+    offset += size;
+  }
+}
+
+/**
+ * Fetch byte ranges of the resource.
+ * Servers that ignore the Range header send the whole resource: it is then downloaded only once, as far as needed, and later ranges are read from the same response.
+ * @Returns {Object} read(start, end): Promise of the bytes [start, end) as an ArrayBuffer, close(): stop downloading
+ * */
+function createRangeReader(url) {
+  // whole resource, once a server ignored the Range header
+  let stream = null;
+
+  const readStream = async (start, end) => {
+    while (stream.received < end && !stream.done) {
+      const { done, value } = await stream.reader.read();
+      if (done) {
+        stream.done = true;
+        break;
+      }
+      stream.chunks.push(value);
+      stream.received += value.length;
+    }
+    if (stream.chunks.length > 1) {
+      const bytes = new Uint8Array(stream.received);
+      let offset = 0;
+      for (const chunk of stream.chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      stream.chunks = [bytes];
+    }
+    const bytes = stream.chunks[0] || new Uint8Array(0);
+    return bytes.buffer.slice(bytes.byteOffset + Math.min(start, stream.received), bytes.byteOffset + Math.min(end, stream.received));
+  };
+
+  return {
+    read: async (start, end) => {
+      if (stream) {
+        return readStream(start, end);
+      }
+      const response = await fetch(url, {
+        headers: end === Infinity ? { Range: `bytes=${start}-` } : { Range: `bytes=${start}-${end - 1}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Could not fetch ${url}: ${response.status} ${response.statusText}`);
+      }
+      if (response.status === 206) {
+        return response.arrayBuffer();
+      }
+      stream = { reader: response.body.getReader(), chunks: [], received: 0, done: false };
+      return readStream(start, end);
+    },
+    close: () => {
+      if (stream && !stream.done) {
+        stream.reader.cancel();
+      }
+    },
+  };
+}
+
+async function createVideoFromURL(url) {
+  const video = document.createElement('video');
+  video.crossOrigin = 'anonymous';
+  video.playsInline = true;
+  video.loop = true;
+  video.preload = 'auto';
+  video.src = url;
+  return new Promise((resolve, reject) => {
+    video.onloadeddata = () => {
+      resolve(video);
+    };
+    video.onerror = () => {
+      reject(new Error(video.error?.message || `Could not load video ${url}`));
+    };
+  });
+}
+
+/**
+ * Stop a video of parseVideo() that is not displayed anymore, and revoke the object URL created for its Blob or ArrayBuffer source
+ * @Param {HTMLVideoElement} video
+ * */
+function releaseVideo(video) {
+  video.pause();
+  const url = objectURLs.get(video);
+  if (url) {
+    URL.revokeObjectURL(url);
+    objectURLs.delete(video);
+  }
+}
+
+export {parseVideo, isVideoSource, releaseVideo}
@@ -18,90 +18,38 @@
 
 // see official spec at https://developers.google.com/vr/reference/cardboard-camera-vr-photo-format
 
-import exifr from 'exifr';
+import { readSource, decodeImage } from '../utils.js';
+import { readMetadata } from '../core/metadata.js';
+import { vrRightEyeBuffer, assembleVR, assemblePhotosphere } from '../core/vr-core.js';
 
-async function parseVR(url) {
-  const image = await createImageFromURL(url);
-  //image.crossOrigin = "Anonymous";
-
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  const width = image.width;
-  const height = image.height;
-  canvas.width = width;
-  canvas.height = height;
-  ctx.drawImage(image, 0, 0);
-
-  const leftEye = ctx.getImageData(0, 0, width, height);
-
-  const result = {leftEye};
-
-  const exif = await exifr.parse(url, {
-    xmp: true,
-    multiSegment: true,
-    mergeOutput: false,
-    ihdr: true, //unclear why we need this, but if not enabled, some VR180 XMP Data are not parsed
-  });
-
-  // VR180 are a half sphere, but are just a special case.
-  if(exif.GPano?.CroppedAreaImageWidthPixels && exif.GPano?.FullPanoWidthPixels) {
-    result.phiLength = exif.GPano.CroppedAreaImageWidthPixels / exif.GPano.FullPanoWidthPixels * 2 * Math.PI;
-  } else {
-    // assume VR180 (should we assume full sphere instead?)
-    console.warn('No GPano CroppedAreaImageWidthPixels and FullPanoWidthPixels data found, assuming VR180');
-    result.phiLength = Math.PI;
-  }
-
-  if(exif.GPano?.CroppedAreaImageHeightPixels && exif.GPano?.FullPanoHeightPixels) {
-    result.thetaLength = exif.GPano.CroppedAreaImageHeightPixels / exif.GPano.FullPanoHeightPixels * Math.PI;
-    
-  } else {
-    result.thetaLength = Math.PI;
-  }
-
-  if(exif.GPano?.CroppedAreaTopPixels) {
-    result.thetaStart = exif.GPano.CroppedAreaTopPixels / exif.GPano.FullPanoHeightPixels * Math.PI;
-  } else {
-    result.thetaStart = 0;
-  }
-
-  if(exif.GPano?.PoseRollDegrees) {
-    result.roll = exif.GPano.PoseRollDegrees / 180 * Math.PI;
-  }
-  if(exif.GPano?.PosePitchDegrees) {
-    result.pitch = exif.GPano.PosePitchDegrees / 180 * Math.PI;
-  }
-
-  if (!exif.GImage?.Data) {
-    const err = "No right eye data found in XMP of image";
-    console.error(err);
-    result.error = err;
-    return result;
-  }
-
-  var image2 = await createImageFromURL("data:image/jpg;base64," + exif.GImage.Data);
-
-  const canvas2 = document.createElement('canvas');
-  const ctx2 = canvas2.getContext('2d');
-  canvas2.width = width;
-  canvas2.height = height;
-  ctx2.drawImage(image2, 0, 0);
-
-  result.rightEye = ctx2.getImageData(0, 0, width, height);
-
-  return result;
+/**
+ * read the image from source (URL, Blob, File or ArrayBuffer)
+ * return left eye from the image, right eye and angle of view from its XMP metadata
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - onPreview: called with mono stereo data of the left eye, before the right eye is decoded
+ * */
+async function parseVR(source, options) {
+  const buffer = await readSource(source);
+  const metadata = await readMetadata(buffer);
+  const leftEye = await decodeImage(buffer);
+  options?.onPreview?.(assembleVR(leftEye, leftEye, metadata));
+
+  const rightEyeBuffer = vrRightEyeBuffer(metadata);
+  const rightEye = rightEyeBuffer && await decodeImage(rightEyeBuffer, metadata.GImage.Mime || 'image/jpeg');
+
+  return assembleVR(leftEye, rightEye, metadata);
 }
 
-async function createImageFromURL(url) {
-  const image = new Image();
-  image.src = url;
-  return new Promise((resolve, reject) => {
-    image.onload = () => {
-      URL.revokeObjectURL(url);
-      resolve(image);
-    };
-    image.onerror = reject;
-  });
+/**
+ * read the mono panorama from source (URL, Blob, File or ArrayBuffer), like a Photo Sphere
+ * return the image for both eyes, and the angle of view from its GPano metadata
+ * @Param {string|Blob|ArrayBuffer} source - image url or content
+ * @Param {Object} (options) - angle: '180' or '360' if the image has no GPano metadata, full sphere by default
+ * */
+async function parsePhotosphere(source, options) {
+  const buffer = await readSource(source);
+  const metadata = await readMetadata(buffer);
+  return assemblePhotosphere(await decodeImage(buffer), metadata, { angle: options?.angle });
 }
 
-export {parseVR}
\ No newline at end of file
+export {parseVR, parsePhotosphere}
\ No newline at end of file
@@ -0,0 +1,266 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Rectification of stereo pairs shot with two cameras that were not perfectly aligned.
+ * Features of the left eye are matched in the right eye, the vertical position of matches gives
+ * the vertical shift, rotation and scale of the right eye, which is then warped to line up with the left eye.
+ * Horizontal positions are not used: they also depend on the depth of each feature.
+ */
+
+import { luminance, downscale } from './disparity.js';
+
+// Features are matched on a downscaled image no wider than this
+const RECTIFY_MAX_WIDTH = 512;
+// One feature is searched per cell of this grid
+const GRID_COLUMNS = 12;
+const GRID_ROWS = 8;
+// Radius of the patch matched around each feature, in downscaled pixels
+const PATCH_RADIUS = 5;
+// Search range, as a fraction of width horizontally and of height vertically
+const MAX_HORIZONTAL_RATIO = 0.1;
+const MAX_VERTICAL_RATIO = 0.04;
+// Features with weaker vertical gradients cannot be located vertically
+const MIN_FEATURE_STRENGTH = 100;
+// Fewer matches are not enough to trust the estimation
+const MIN_MATCHES = 8;
+// Corrections smaller than these are not worth warping the image
+const MIN_SHIFT = 0.5;
+const MIN_ROTATION = 0.0005;
+const MIN_SCALE = 0.0005;
+
+/**
+ * Return true if the eyes of the stereo data can be rectified: decoded pictures of two different eyes with a flat projection.
+ * Eyes of mono pictures are the same, and a planar warp would only distort the eyes of 180° and 360° pictures, cubemaps and fisheyes.
+ * @Param {Object} stereoData - as returned by the parsers
+ * */
+function canRectify(stereoData) {
+  const { leftEye, rightEye, error, video, stereo, cubemap, fisheye, phiLength } = stereoData;
+  return !error && !video && stereo !== false && !!leftEye && !!rightEye && leftEye !== rightEye
+    && !cubemap && !fisheye && phiLength < Math.PI;
+}
+
+/**
+ * Estimate vertical shift, rotation and scale of the right eye relative to the left eye, and warp it to cancel them
+ * @Param {ImageData} leftEye
+ * @Param {ImageData} rightEye - same size as leftEye
+ * @Returns {Object} { rightEye, rectification: { verticalShift (in pixels), rotation (in degrees), scale, matches, applied } }
+ * */
+function rectify(leftEye, rightEye) {
+  const none = { rightEye, rectification: { verticalShift: 0, rotation: 0, scale: 1, matches: 0, applied: false } };
+  if (leftEye.width !== rightEye.width || leftEye.height !== rightEye.height) {
+    console.warn('<stereo-img> cannot rectify eyes of different sizes');
+    return none;
+  }
+
+  const scale = Math.min(1, RECTIFY_MAX_WIDTH / leftEye.width);
+  const width = Math.max(1, Math.floor(leftEye.width * scale));
+  const height = Math.max(1, Math.floor(leftEye.height * scale));
+  const left = downscale(luminance(leftEye), leftEye.width, leftEye.height, width, height);
+  const right = downscale(luminance(rightEye), rightEye.width, rightEye.height, width, height);
+
+  const matches = matchFeatures(left, right, width, height);
+  const model = fitVerticalModel(matches, width / 2, height / 2);
+  if (!model) {
+    return none;
+  }
+
+  const rotation = Math.atan2(model.a, model.b);
+  const rectification = {
+    verticalShift: model.ty / scale,
+    rotation: rotation * 180 / Math.PI,
+    scale: Math.hypot(model.a, model.b),
+    matches: model.inliers,
+    applied: false,
+  };
+  if (Math.abs(rectification.verticalShift) < MIN_SHIFT && Math.abs(rotation) < MIN_ROTATION && Math.abs(rectification.scale - 1) < MIN_SCALE) {
+    return { rightEye, rectification };
+  }
+
+  rectification.applied = true;
+  return { rightEye: warp(rightEye, model.a, model.b, rectification.verticalShift), rectification };
+}
+
+/** find features with strong vertical gradients in the left eye, one per grid cell, and their position in the right eye */
+function matchFeatures(left, right, width, height) {
+  const r = PATCH_RADIUS;
+  const maxDx = Math.round(width * MAX_HORIZONTAL_RATIO);
+  const maxDy = Math.max(1, Math.round(height * MAX_VERTICAL_RATIO));
+  const cellWidth = width / GRID_COLUMNS;
+  const cellHeight = height / GRID_ROWS;
+  const matches = [];
+
+  for (let row = 0; row < GRID_ROWS; row++) {
+    for (let column = 0; column < GRID_COLUMNS; column++) {
+      const x0 = Math.max(r + 1, Math.floor(column * cellWidth));
+      const y0 = Math.max(r + maxDy + 1, Math.floor(row * cellHeight));
+      const x1 = Math.min(width - r - 1, Math.floor((column + 1) * cellWidth));
+      const y1 = Math.min(height - r - maxDy - 1, Math.floor((row + 1) * cellHeight));
+
+      // strongest vertical gradient of the cell
+      let feature = null;
+      let strength = MIN_FEATURE_STRENGTH;
+      for (let y = y0; y < y1; y += 2) {
+        for (let x = x0; x < x1; x += 2) {
+          const gy = left[(y + 1) * width + x] - left[(y - 1) * width + x];
+          if (gy * gy > strength) {
+            strength = gy * gy;
+            feature = { x, y };
+          }
+        }
+      }
+      if (!feature) {
+        continue;
+      }
+
+      const costs = new Map();
+      let best = { cost: Infinity };
+      for (let dy = -maxDy; dy <= maxDy; dy++) {
+        for (let dx = -maxDx; dx <= maxDx; dx++) {
+          const rx = feature.x + dx;
+          if (rx - r < 0 || rx + r >= width) {
+            continue;
+          }
+          const cost = patchCost(left, right, width, feature.x, feature.y, rx, feature.y + dy, r);
+          costs.set(`${dx},${dy}`, cost);
+          if (cost < best.cost) {
+            best = { cost, dx, dy };
+          }
+        }
+      }
+      if (best.cost === Infinity) {
+        continue;
+      }
+
+      // sub-pixel vertical position, from a parabola through the costs around the best match
+      let dy = best.dy;
+      const above = costs.get(`${best.dx},${best.dy - 1}`);
+      const below = costs.get(`${best.dx},${best.dy + 1}`);
+      if (above !== undefined && below !== undefined) {
+        const curvature = above - 2 * best.cost + below;
+        if (curvature > 0) {
+          dy += (above - below) / (2 * curvature);
+        }
+      }
+      matches.push({ x: feature.x + best.dx, yLeft: feature.y, yRight: feature.y + dy });
+    }
+  }
+
+  return matches;
+}
+
+/** sum of absolute differences between the patch around (lx, ly) in left and the patch around (rx, ry) in right */
+function patchCost(left, right, width, lx, ly, rx, ry, r) {
+  let cost = 0;
+  for (let dy = -r; dy <= r; dy++) {
+    const leftRow = (ly + dy) * width;
+    const rightRow = (ry + dy) * width;
+    for (let dx = -r; dx <= r; dx++) {
+      cost += Math.abs(left[leftRow + lx + dx] - right[rightRow + rx + dx]);
+    }
+  }
+  return cost;
+}
+
+/**
+ * fit yRight = a * (x - cx) + b * (yLeft - cy) + cy + ty with least squares, discarding outliers
+ * a = scale * sin(rotation), b = scale * cos(rotation)
+ * */
+function fitVerticalModel(matches, cx, cy) {
+  let inliers = matches;
+  let model = null;
+  for (let iteration = 0; iteration < 4; iteration++) {
+    if (inliers.length < MIN_MATCHES) {
+      return null;
+    }
+    model = leastSquares(inliers, cx, cy);
+    if (!model) {
+      return null;
+    }
+    const residuals = inliers.map((m) => Math.abs(predict(model, m, cx, cy) - m.yRight));
+    const median = [...residuals].sort((a, b) => a - b)[Math.floor(residuals.length / 2)];
+    const threshold = Math.max(0.5, 2.5 * median);
+    const kept = inliers.filter((m, i) => residuals[i] <= threshold);
+    if (kept.length === inliers.length) {
+      break;
+    }
+    inliers = kept;
+  }
+  model.inliers = inliers.length;
+  return model;
+}
+
+function predict(model, match, cx, cy) {
+  return model.a * (match.x - cx) + model.b * (match.yLeft - cy) + cy + model.ty;
+}
+
+/** solve the 3x3 normal equations of the vertical model */
+function leastSquares(matches, cx, cy) {
+  const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const atb = [0, 0, 0];
+  for (const m of matches) {
+    const row = [m.x - cx, m.yLeft - cy, 1];
+    const target = m.yRight - cy;
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        ata[i][j] += row[i] * row[j];
+      }
+      atb[i] += row[i] * target;
+    }
+  }
+  const solution = solve3(ata, atb);
+  return solution && { a: solution[0], b: solution[1], ty: solution[2] };
+}
+
+/** Cramer's rule, null for singular systems */
+function solve3(m, v) {
+  const det = (c) => c[0][0] * (c[1][1] * c[2][2] - c[1][2] * c[2][1])
+    - c[0][1] * (c[1][0] * c[2][2] - c[1][2] * c[2][0])
+    + c[0][2] * (c[1][0] * c[2][1] - c[1][1] * c[2][0]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-9) {
+    return null;
+  }
+  return [0, 1, 2].map((column) => det(m.map((row, i) => row.map((value, j) => j === column ? v[i] : value))) / d);
+}
+
+/** resample the eye with a rotation and scale around its center and a vertical shift, so that it lines up with the other eye */
+function warp(eye, a, b, ty) {
+  const { width, height, data } = eye;
+  const cx = width / 2;
+  const cy = height / 2;
+  const pixels = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // position of this pixel in the original eye
+      const sx = Math.min(width - 1, Math.max(0, b * (x - cx) - a * (y - cy) + cx));
+      const sy = Math.min(height - 1, Math.max(0, a * (x - cx) + b * (y - cy) + cy + ty));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+        pixels[i + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return new ImageData(pixels, width, height);
+}
+
+export { rectify, canRectify };
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * One WebGL renderer shared by all <stereo-img shared-renderer> elements of a page.
+ * Browsers only allow a few WebGL contexts per page: instead of its own context, each element displays a 2D canvas,
+ * its scene is rendered in a corner of the shared canvas, then copied to the element canvas.
+ */
+
+import * as THREE from 'three';
+
+let sharedRenderer = null;
+
+class SharedRenderer {
+  constructor() {
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true
+    });
+    this.renderer.xr.enabled = true;
+    // elements using the renderer, and the ones rendered every frame
+    this.users = new Set();
+    this.elements = new Set();
+    // element displayed in VR, once the user entered VR from its button
+    this.xrElement = null;
+
+    this.renderer.setAnimationLoop(() => this.render());
+  }
+
+  /** Render visible elements, or only the one displayed in VR */
+  render() {
+    if (this.renderer.xr.isPresenting) {
+      this.xrElement?.renderFrame();
+      return;
+    }
+
+    const canvas = this.renderer.domElement;
+    for (const element of this.elements) {
+      // in device pixels
+      const { width, height } = element.canvas;
+      if (width === 0 || height === 0) {
+        continue;
+      }
+      // only grow the shared canvas, resizing it clears it
+      if (width > canvas.width || height > canvas.height) {
+        this.renderer.setSize(Math.max(width, canvas.width), Math.max(height, canvas.height), false);
+      }
+      this.renderer.setViewport(0, 0, width, height);
+      element.renderFrame();
+      // the viewport is at the bottom left of the shared canvas
+      element.canvasContext.drawImage(canvas, 0, canvas.height - height, width, height, 0, 0, width, height);
+    }
+  }
+
+  /** Render the element every frame */
+  start(element) {
+    this.elements.add(element);
+  }
+
+  stop(element) {
+    this.elements.delete(element);
+  }
+
+  /** Free the WebGL context once no element uses it */
+  release(element) {
+    this.stop(element);
+    this.users.delete(element);
+    if (this.xrElement === element) {
+      this.renderer.xr.getSession()?.end();
+      this.xrElement = null;
+    }
+    if (this.users.size === 0) {
+      this.renderer.setAnimationLoop(null);
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+      sharedRenderer = null;
+    }
+  }
+}
+
+/**
+ * Get the shared renderer, created for the first element
+ * @Param {HTMLElement} element - <stereo-img> using it, call release() once it does not
+ * @Returns {SharedRenderer}
+ */
+function acquireSharedRenderer(element) {
+  if (!sharedRenderer) {
+    sharedRenderer = new SharedRenderer();
+  }
+  sharedRenderer.users.add(element);
+  return sharedRenderer;
+}
+
+export { acquireSharedRenderer };
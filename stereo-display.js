@@ -0,0 +1,227 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Renders both eyes of a scene on a regular screen, for viewers without a VR headset.
+ * Left eye meshes are on layer 1, right eye meshes on layer 2, layer 0 is visible in both eyes.
+ */
+
+import * as THREE from 'three';
+
+const DISPLAY_MODES = {
+  'mono': 0,
+  'anaglyph-red-cyan': 1,
+  'anaglyph-dubois': 2,
+  'side-by-side': 3,
+  'cross-eyed': 4,
+  'interlaced-rows': 5,
+  'wiggle': 6,
+};
+
+const DEFAULT_WIGGLE_RATE = 6;
+
+const LEFT_EYE_LAYERS = (1 << 0) | (1 << 1);
+const RIGHT_EYE_LAYERS = (1 << 0) | (1 << 2);
+
+const vertexShader = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D mapLeft;
+  uniform sampler2D mapRight;
+  uniform int mode;
+  uniform mat3 colorMatrixLeft;
+  uniform mat3 colorMatrixRight;
+  uniform float wiggle;
+  varying vec2 vUv;
+
+  // sRGB linearization and gamma correction, Dubois matrices apply to linear colors
+  float lin(float c) {
+    return c <= 0.04045 ? c * 0.0773993808 : pow(c * 0.9478672986 + 0.0521327014, 2.4);
+  }
+  vec3 lin(vec3 c) {
+    return vec3(lin(c.r), lin(c.g), lin(c.b));
+  }
+  float dev(float c) {
+    return c <= 0.0031308 ? c * 12.92 : pow(c, 0.41666) * 1.055 - 0.055;
+  }
+  vec3 dev(vec3 c) {
+    return vec3(dev(c.r), dev(c.g), dev(c.b));
+  }
+
+  void main() {
+    if (mode == 3 || mode == 4) {
+      // each half of the screen shows one eye, swapped for cross-eyed viewing
+      bool leftHalf = vUv.x < 0.5;
+      vec2 uv = vec2(fract(vUv.x * 2.0), vUv.y);
+      bool showLeft = (mode == 3) == leftHalf;
+      gl_FragColor = showLeft ? texture2D(mapLeft, uv) : texture2D(mapRight, uv);
+      return;
+    }
+
+    vec4 colorL = texture2D(mapLeft, vUv);
+    vec4 colorR = texture2D(mapRight, vUv);
+
+    if (mode == 1) {
+      gl_FragColor = vec4(colorL.r, colorR.g, colorR.b, 1.0);
+    } else if (mode == 2) {
+      vec3 color = clamp(colorMatrixLeft * lin(colorL.rgb) + colorMatrixRight * lin(colorR.rgb), 0.0, 1.0);
+      gl_FragColor = vec4(dev(color), 1.0);
+    } else if (mode == 5) {
+      // even rows for the left eye, odd rows for the right eye
+      gl_FragColor = mod(floor(gl_FragCoord.y), 2.0) < 1.0 ? colorL : colorR;
+    } else if (mode == 6) {
+      gl_FragColor = mix(colorL, colorR, wiggle);
+    } else {
+      gl_FragColor = colorL;
+    }
+  }
+`;
+
+class StereoDisplay {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.mode = 'mono';
+    // eye switches per second, and whether to cross-fade between eyes, for 'wiggle' mode
+    this.wiggleRate = DEFAULT_WIGGLE_RATE;
+    this.wiggleFade = false;
+
+    // Dubois matrices from https://citeseerx.ist.psu.edu/viewdoc/download?doi=10.1.1.7.6968&rep=rep1&type=pdf#page=4
+    const colorMatrixLeft = new THREE.Matrix3().fromArray([
+      0.456100, -0.0400822, -0.0152161,
+      0.500484, -0.0378246, -0.0205971,
+      0.176381, -0.0157589, -0.00546856
+    ]);
+    const colorMatrixRight = new THREE.Matrix3().fromArray([
+      -0.0434706, 0.378476, -0.0721527,
+      -0.0879388, 0.73364, -0.112961,
+      -0.00155529, -0.0184503, 1.2264
+    ]);
+
+    const params = { minFilter: THREE.LinearFilter, magFilter: THREE.LinearFilter, format: THREE.RGBAFormat };
+    this.renderTargetLeft = new THREE.WebGLRenderTarget(1, 1, params);
+    this.renderTargetRight = new THREE.WebGLRenderTarget(1, 1, params);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        mapLeft: { value: this.renderTargetLeft.texture },
+        mapRight: { value: this.renderTargetRight.texture },
+        mode: { value: 0 },
+        wiggle: { value: 0 },
+        colorMatrixLeft: { value: colorMatrixLeft },
+        colorMatrixRight: { value: colorMatrixRight },
+      },
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.compositeScene = new THREE.Scene();
+    this.compositeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.compositeScene.add(this.quad);
+
+    this.setSize(renderer.domElement.width, renderer.domElement.height);
+  }
+
+  /** @Param {string} mode - one of the DISPLAY_MODES, unknown modes fall back to 'mono' */
+  setMode(mode) {
+    if (!(mode in DISPLAY_MODES)) {
+      if (mode) {
+        console.warn(`<stereo-img> unknown display "${mode}", expected one of: ${Object.keys(DISPLAY_MODES).join(', ')}. Using "mono".`);
+      }
+      mode = 'mono';
+    }
+    this.mode = mode;
+    this.material.uniforms.mode.value = DISPLAY_MODES[mode];
+    this.setSize(this.width, this.height);
+  }
+
+  /** @Param {number} width, height - size of the drawing buffer, in device pixels */
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    // side by side modes only need half the width for each eye
+    const eyeWidth = this.isSideBySide() ? Math.ceil(width / 2) : width;
+    this.renderTargetLeft.setSize(eyeWidth, height);
+    this.renderTargetRight.setSize(eyeWidth, height);
+  }
+
+  isSideBySide() {
+    return this.mode === 'side-by-side' || this.mode === 'cross-eyed';
+  }
+
+  render(scene, camera) {
+    const renderer = this.renderer;
+
+    // In VR, the XR camera already renders layer 1 to the left eye and layer 2 to the right eye
+    if (this.mode === 'mono' || renderer.xr.isPresenting) {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    if (this.mode === 'wiggle') {
+      // position in the left, right, left cycle, from 0 to 2
+      const cycle = (performance.now() / 1000 * (this.wiggleRate || DEFAULT_WIGGLE_RATE)) % 2;
+      this.material.uniforms.wiggle.value = this.wiggleFade ? 0.5 - 0.5 * Math.cos(Math.PI * cycle) : Math.floor(cycle);
+    }
+
+    const currentRenderTarget = renderer.getRenderTarget();
+    const layersMask = camera.layers.mask;
+    const aspect = camera.aspect;
+
+    if (this.isSideBySide()) {
+      camera.aspect = aspect / 2;
+      camera.updateProjectionMatrix();
+    }
+
+    camera.layers.mask = LEFT_EYE_LAYERS;
+    renderer.setRenderTarget(this.renderTargetLeft);
+    renderer.clear();
+    renderer.render(scene, camera);
+
+    camera.layers.mask = RIGHT_EYE_LAYERS;
+    renderer.setRenderTarget(this.renderTargetRight);
+    renderer.clear();
+    renderer.render(scene, camera);
+
+    camera.layers.mask = layersMask;
+    if (this.isSideBySide()) {
+      camera.aspect = aspect;
+      camera.updateProjectionMatrix();
+    }
+
+    renderer.setRenderTarget(null);
+    renderer.render(this.compositeScene, this.compositeCamera);
+
+    renderer.setRenderTarget(currentRenderTarget);
+  }
+
+  dispose() {
+    this.renderTargetLeft.dispose();
+    this.renderTargetRight.dispose();
+    this.quad.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+export { StereoDisplay, DISPLAY_MODES };
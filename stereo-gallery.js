@@ -0,0 +1,261 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { parseStereoSource } from './stereo-img.js';
+import { releaseVideo } from './parsers/video-parser/video-parser.js';
+import { itemToShow } from './gallery-items.js';
+
+/**
+ * A gallery of stereo pictures, displayed one at a time in a <stereo-img>.
+ * Items are <stereo-gallery-item> children, with the same src, type, angle, anaglyph-colors, anaglyph-mode and rectify attributes as <stereo-img>, and an optional caption.
+ * Previous and next items are parsed in the background, so that navigating is fast.
+ * Items can be added, removed or changed at any time.
+ */
+class StereoGallery extends HTMLElement {
+
+  // attributes passed to the inner <stereo-img>
+  static get observedAttributes() {
+    return ['display'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+    switch (name) {
+      case 'display':
+        this.stereoImg.display = newValue;
+        break;
+    }
+  }
+
+  get index() {
+    return this._index;
+  }
+  set index(val) {
+    this.show(Number(val));
+  }
+
+  get loop() {
+    return this.hasAttribute('loop');
+  }
+  set loop(val) {
+    if (val) {
+      this.setAttribute('loop', '');
+    } else {
+      this.removeAttribute('loop');
+    }
+  }
+
+  get display() {
+    return this.getAttribute('display');
+  }
+  set display(val) {
+    if (val) {
+      this.setAttribute('display', val);
+    } else {
+      this.removeAttribute('display');
+    }
+  }
+
+  /** items of the gallery, read from the <stereo-gallery-item> children */
+  get items() {
+    return Array.from(this.querySelectorAll(':scope > stereo-gallery-item')).map((element) => ({
+      element,
+      src: element.getAttribute('src'),
+      type: element.getAttribute('type'),
+      angle: element.getAttribute('angle'),
+      anaglyphColors: element.getAttribute('anaglyph-colors'),
+      anaglyphMode: element.getAttribute('anaglyph-mode'),
+      rectify: element.hasAttribute('rectify'),
+      caption: element.getAttribute('caption'),
+    }));
+  }
+
+  prev() {
+    const length = this.items.length;
+    if (this._index > 0) {
+      this.show(this._index - 1);
+    } else if (this.loop && length > 0) {
+      this.show(length - 1);
+    }
+  }
+
+  next() {
+    const length = this.items.length;
+    if (this._index < length - 1) {
+      this.show(this._index + 1);
+    } else if (this.loop && length > 0) {
+      this.show(0);
+    }
+  }
+
+  /** parse the item, or return the pending or cached parsing of the same source */
+  parseItem(item) {
+    const key = JSON.stringify([item.src, item.type, item.angle, item.anaglyphColors, item.anaglyphMode, item.rectify]);
+    if (!this.cache.has(key)) {
+      const promise = parseStereoSource(item.src, item);
+      // failed parsing should be retried next time
+      promise.catch(() => this.cache.delete(key));
+      this.cache.set(key, promise);
+    }
+    return { key, promise: this.cache.get(key) };
+  }
+
+  /** Display the item at index, then parse its neighbors in the background */
+  async show(index) {
+    const items = this.items;
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+      return;
+    }
+    this._index = index;
+    const item = items[index];
+    this.displayedItem = item;
+
+    const neighbors = [index - 1, index + 1]
+      .map((i) => this.loop ? (i + items.length) % items.length : i)
+      .filter((i) => i >= 0 && i < items.length)
+      .map((i) => items[i]);
+
+    // only keep the current item and its neighbors in memory
+    const keep = new Set([item, ...neighbors].map((item) => this.parseItem(item).key));
+    for (const key of this.cache.keys()) {
+      if (!keep.has(key)) {
+        // free the object URLs of videos read from Blobs, unless still displayed
+        this.cache.get(key).then((stereoData) => {
+          if (stereoData.video && stereoData !== this.stereoImg.stereoData) {
+            releaseVideo(stereoData.video);
+          }
+        }, () => {});
+        this.cache.delete(key);
+      }
+    }
+
+    this.caption.textContent = item.caption || '';
+    this.caption.hidden = !item.caption;
+
+    this.dispatchEvent(new CustomEvent('itemchange', { detail: { index, item } }));
+
+    this.stereoImg.showOverlay('loading');
+    let stereoData;
+    try {
+      stereoData = await this.parseItem(item).promise;
+      if (stereoData.error) {
+        throw new Error(stereoData.error);
+      }
+    } catch (error) {
+      await this.stereoImgReady();
+      if (this._index === index) {
+        this.stereoImg.showError(error, item.src);
+      }
+      return;
+    }
+    await this.stereoImgReady();
+    // another item may have been requested in the meantime
+    if (this._index === index) {
+      await this.stereoImg.showStereoData(stereoData);
+    }
+  }
+
+  /** resolves once the renderer of the inner <stereo-img> is ready, even if its first picture failed */
+  stereoImgReady() {
+    return this.stereoImg.ready.catch(() => {});
+  }
+
+  /** Display the first item once there is one, and the displayed item again if it changed */
+  updateItems() {
+    const { index, changed } = itemToShow(this.items, this._index, this.displayedItem);
+    if (changed) {
+      this.show(index);
+    } else if (index !== undefined) {
+      // other items were added or removed before it
+      this._index = index;
+    }
+  }
+
+  connectedCallback() {
+    if (this.clientHeight === 0) {
+      const aspectRatio = 4 / 3;
+      this.style.height = this.clientWidth / aspectRatio + "px";
+    }
+
+    if (this._index === undefined) {
+      this.show(0);
+    }
+  }
+
+  constructor() {
+    super();
+
+    this._index = undefined;
+    this.displayedItem = undefined;
+    // parsed stereo data promises, by item
+    this.cache = new Map();
+
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          position: relative;
+        }
+        stereo-img {
+          width: 100%;
+          height: 100%;
+        }
+        .caption {
+          position: absolute;
+          left: 0;
+          right: 0;
+          bottom: 56px;
+          padding: 6px 12px;
+          text-align: center;
+          font-family: lato, sans-serif;
+          color: #fff;
+          text-shadow: 0 0 4px #000;
+          pointer-events: none;
+        }
+        .caption[hidden] {
+          display: none;
+        }
+      </style>
+      <div class="caption" part="caption" hidden></div>
+      `;
+
+    this.stereoImg = document.createElement('stereo-img');
+    // sized by the gallery
+    this.stereoImg.style.height = '';
+    this.stereoImg.setAttribute('part', 'stereo-img');
+    this.shadowRoot.insertBefore(this.stereoImg, this.shadowRoot.querySelector('.caption'));
+    this.caption = this.shadowRoot.querySelector('.caption');
+
+    // items appended after connection, for example by frameworks, or changed
+    new MutationObserver((mutations) => {
+      if (this.isConnected && mutations.some((mutation) => mutation.target !== this || mutation.type === 'childList')) {
+        this.updateItems();
+      }
+    }).observe(this, { childList: true, subtree: true, attributes: true });
+
+    // in-VR prev and next buttons
+    this.stereoImg.addEventListener('stereoImgGoToPrev', () => this.prev());
+    this.stereoImg.addEventListener('stereoImgGoToNext', () => this.next());
+  }
+
+}
+
+if (window.customElements.get('stereo-gallery') === undefined) {
+  window.customElements.define('stereo-gallery', StereoGallery);
+}
+
+export { StereoGallery };
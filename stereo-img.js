@@ -12,13 +12,28 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import { parseVR } from './parsers/vr-parser/vr-parser.js';
-import { parseStereo } from './parsers/stereo-parser/stereo-parser.js';
+import { parseVR, parsePhotosphere } from './parsers/vr-parser/vr-parser.js';
+import { parseStereo, parseDualFisheye, parseCubemap } from './parsers/stereo-parser/stereo-parser.js';
 import { parseAnaglyph } from './parsers/anaglyph-parser/anaglyph-parser.js';
-import exifr from 'exifr';
+import { parseMPO, isMPO } from './parsers/mpo-parser/mpo-parser.js';
+import { parseDepth } from './parsers/depth-parser/depth-parser.js';
+import { parseVideo, isVideoSource, releaseVideo } from './parsers/video-parser/video-parser.js';
+import { detectLayout } from './parsers/layout-detector/layout-detector.js';
+import { readSource, sourceName } from './parsers/utils.js';
+import { readMetadata } from './parsers/core/metadata.js';
+import { depthMapInfo } from './parsers/core/depth-core.js';
+import { fisheyePosition, parseCircle } from './parsers/core/fisheye-core.js';
+import { cropImageData } from './parsers/core/image-data.js';
 
 import * as THREE from 'three';
 import { VRButton } from './vr-button.js';
+import { StereoDisplay } from './stereo-display.js';
+import { matchDisparityAt, estimateConvergence } from './disparity.js';
+import { rectify, canRectify } from './rectify.js';
+import { encodeWiggle } from './encoders/wiggle-encoder/wiggle-encoder.js';
+import { acquireSharedRenderer } from './shared-renderer.js';
+import { GyroControls } from './gyro-controls.js';
+import { createFisheyeMaterial } from './fisheye-material.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
 import BackwardSVG from './images/backward.svg';
@@ -40,13 +55,269 @@ const linearScale = (factor, minInput, maxInput, minOutput, maxOutput, shouldCla
 }
 
 const PREV_NEXT_TIMEOUT_MS = 1000;
+const BUTTON_COLOR = 0xa65700;
+const BUTTON_HOVER_COLOR = 0xf4870e;
+// lasers of XR controllers not pointing at a button, in meters
+const LASER_LENGTH = 5;
+// radius of hotspot markers, relative to their distance
+const HOTSPOT_SIZE = 0.04;
+// hotspots are in front of the picture sphere, unless closer
+const DEFAULT_HOTSPOT_DEPTH = 9;
+const MAX_HOTSPOT_DEPTH = 9.5;
+// radius of the picture sphere, in meters, also the default distance of flat and curved screens
+const SPHERE_RADIUS = 10;
+// flat screens of wider pictures would be huge, they keep their sphere
+const MAX_FLAT_ANGLE = Math.PI * 0.9;
 const RETICLE_INNER_OPACITY = 0.8;
 const RETICLE_OUTER_OPACITY = 0.9;
 const PREV_NEXT_BUTTON_TRANSPARENCY = 0.75;
+const VIDEO_SEEK_SECONDS = 10;
+// vertical field of view, in degrees
+const DEFAULT_FOV = 70;
+const DEFAULT_MIN_FOV = 20;
+const DEFAULT_MAX_FOV = 100;
+const DEFAULT_ROTATE_SPEED = -0.25;
+// the camera orbits this close around the center of the sphere
+const CAMERA_DISTANCE = 0.1;
+// field of view factor per pixel of wheel scrolling
+const WHEEL_ZOOM_SPEED = 0.001;
+// elements start loading and rendering a bit before they are scrolled into view
+const NEAR_VIEWPORT_MARGIN = '200px';
+
+// one observer for all elements
+let nearViewportObserver = null;
+
+function observeNearViewport(element) {
+  if (!nearViewportObserver) {
+    nearViewportObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        entry.target.onNearViewportChange(entry.isIntersecting);
+      }
+    }, { rootMargin: NEAR_VIEWPORT_MARGIN });
+  }
+  nearViewportObserver.observe(element);
+}
+
+/**
+ * Parse a stereo picture or video, dispatching to the right parser for its type.
+ * Pictures are fetched or read only once, then all parsers work on the same buffer.
+ * @Param {string|Blob|File|ArrayBuffer} source - URL or content of the stereo picture or video. If empty, returns empty stereo data.
+ * @Param {Object} (options) - type, angle, anaglyphColors, anaglyphMode, rectify, depthScale, lensFov, leftCircle, rightCircle, cubemapLayout, cubemapOrder: same as the element attributes,
+ *   onProgress: called with { loaded, total } bytes while fetching URLs,
+ *   onPreview: called with mono stereo data of the left eye of VR pictures and MPO files, while their right eye is decoded, or of depth map photos, while their depth map is decoded
+ * */
+async function parseStereoSource(source, options) {
+  const stereoData = await parseStereoLayout(source, options);
+  if (options?.rectify && source && canRectify(stereoData)) {
+    // align the right eye on the left eye before it becomes a texture
+    Object.assign(stereoData, rectify(stereoData.leftEye, stereoData.rightEye));
+  }
+  return stereoData;
+}
+
+async function parseStereoLayout(source, options) {
+  if (!source) {
+    // no src attribute. Use fake stereo data.
+    return {
+      leftEye: new ImageData(10, 10),
+      rightEye: new ImageData(10, 10),
+      phiLength: 0,
+      thetaStart: 0,
+      thetaLength: 0
+    };
+  }
+
+  const type = options?.type;
+  const angle = options?.angle;
+
+  const layouts = ['left-right', 'right-left', 'top-bottom', 'bottom-top'];
+  if (isVideoSource(source)) {
+    return parseVideo(source, {
+      type: layouts.includes(type) ? type : undefined,
+      angle,
+    });
+  }
+
+  const buffer = await readSource(source, options?.onProgress);
+  if (isVideoSource(buffer)) {
+    // e.g. a blob: URL pointing to a video
+    return parseVideo(buffer, {
+      type: layouts.includes(type) ? type : undefined,
+      angle,
+    });
+  }
+
+  if (type === 'vr') {
+    return parseVR(buffer, {
+      onPreview: options?.onPreview,
+    });
+  } else if (type === 'photosphere') {
+    return parsePhotosphere(buffer, {
+      angle,
+    });
+  } else if (type === 'left-right' || type === 'top-bottom') {
+    return parseStereo(buffer, {
+      type,
+      angle,
+      name: sourceName(source),
+    });
+  } else if (type === 'anaglyph') {
+    return parseAnaglyph(buffer, {
+      angle,
+      colors: options?.anaglyphColors,
+      mode: options?.anaglyphMode,
+      name: sourceName(source),
+    });
+  } else if (type === 'mpo') {
+    return parseMPO(buffer, {
+      angle,
+      onPreview: options?.onPreview,
+    });
+  } else if (type === 'dual-fisheye') {
+    return parseDualFisheye(buffer, {
+      lensFov: options?.lensFov,
+      leftCircle: parseCircle(options?.leftCircle),
+      rightCircle: parseCircle(options?.rightCircle),
+    });
+  } else if (type === 'cubemap') {
+    return parseCubemap(buffer, {
+      layout: options?.cubemapLayout,
+      order: options?.cubemapOrder,
+    });
+  } else if (type === 'depth') {
+    return parseDepth(buffer, {
+      angle,
+      depthScale: options?.depthScale,
+      onPreview: options?.onPreview,
+    });
+  }
+
+  // Read XMP metadata
+  const exif = await readMetadata(buffer);
+
+  if (exif?.GImage?.Data) {
+    // XMP for left eye found, assume VR Photo
+    return parseVR(buffer, {
+      onPreview: options?.onPreview,
+    });
+  } else if (depthMapInfo(exif, buffer)) {
+    // single picture with a depth map, e.g. portrait mode
+    return parseDepth(buffer, {
+      angle,
+      depthScale: options?.depthScale,
+      onPreview: options?.onPreview,
+    });
+  } else if (await isMPO(buffer)) {
+    // Multi-Picture Object with several images, assume stereo camera
+    return parseMPO(buffer, {
+      angle,
+      onPreview: options?.onPreview,
+    });
+  } else if (exif?.GPano) {
+    // panorama metadata but no second eye, e.g. a Photo Sphere: pixel heuristics could mistake its halves for eyes
+    return parsePhotosphere(buffer, {
+      angle,
+    });
+  }
+
+  // no metadata, guess the layout from pixels
+  const layout = await detectLayout(buffer);
+  if (layout.type === 'anaglyph') {
+    return parseAnaglyph(buffer, {
+      angle,
+      colors: options?.anaglyphColors || layout.anaglyphColors,
+      mode: options?.anaglyphMode,
+      name: sourceName(source),
+    });
+  } else if (layout.type) {
+    return parseStereo(buffer, {
+      type: layout.type,
+      angle: angle || layout.angle,
+      name: sourceName(source),
+    });
+  }
+
+  console.warn('<stereo-img> does not have a "type" attribute, image does not have XMP metadata of a VR picture and its layout could not be detected.  Use "type" attribute to specify the type of stereoscopic image. Assuming left-right stereo image.');
+  return parseStereo(buffer, {
+    angle,
+    name: sourceName(source),
+  });
+}
 
 
 class StereoImg extends HTMLElement {
 
+  // changing these attributes parses the source again, or updates the display
+  static get observedAttributes() {
+    return ['src', 'type', 'angle', 'anaglyph-colors', 'anaglyph-mode', 'rectify', 'backimagesrc', 'display', 'wiggle-rate', 'wiggle-fade', 'convergence', 'convergence-drag', 'loading', 'yaw', 'pitch', 'fov', 'min-fov', 'max-fov', 'clamp-to-image', 'gyro', 'depth-scale', 'lens-fov', 'left-circle', 'right-circle', 'cubemap-layout', 'cubemap-order', 'projection', 'screen-distance'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+    switch (name) {
+      case 'display':
+        this.stereoDisplay?.setMode(newValue);
+        this.updateEyeOffsets();
+        break;
+      case 'wiggle-rate':
+        if (this.stereoDisplay) {
+          this.stereoDisplay.wiggleRate = Number(newValue);
+        }
+        break;
+      case 'wiggle-fade':
+        if (this.stereoDisplay) {
+          this.stereoDisplay.wiggleFade = newValue !== null;
+        }
+        break;
+      case 'convergence':
+        this.updateEyeOffsets();
+        break;
+      case 'convergence-drag':
+        if (this.controls) {
+          // dragging adjusts convergence instead of looking around
+          this.controls.enabled = newValue === null;
+        }
+        break;
+      case 'yaw':
+      case 'pitch':
+      case 'fov':
+        if (newValue !== null) {
+          this.view = { [name]: Number(newValue) };
+        }
+        break;
+      case 'min-fov':
+      case 'max-fov':
+      case 'clamp-to-image':
+        this.updateViewLimits();
+        // zoom back within the new limits
+        this.view = {};
+        break;
+      case 'gyro':
+        this.updateGyro();
+        break;
+      case 'projection':
+      case 'screen-distance':
+        // same eyes on another screen
+        if (this.stereoData && !this.needsParse && this.renderer) {
+          this.initialize3DSceneAndControls({ keepCamera: true });
+        }
+        break;
+      case 'loading':
+        if (newValue !== 'lazy' && this.isConnected && !this.renderer) {
+          this.initialize();
+        }
+        break;
+      case 'src':
+        this._source = null;
+        this.scheduleParse();
+        break;
+      default:
+        this.scheduleParse();
+    }
+  }
+
   get type() {
     return this.getAttribute('type');
   }
@@ -69,12 +340,130 @@ class StereoImg extends HTMLElement {
     }
   }
 
+  get anaglyphColors() {
+    return this.getAttribute('anaglyph-colors');
+  }
+  set anaglyphColors(val) {
+    if (val) {
+      this.setAttribute('anaglyph-colors', val);
+    } else {
+      this.removeAttribute('anaglyph-colors');
+    }
+  }
+
+  get anaglyphMode() {
+    return this.getAttribute('anaglyph-mode');
+  }
+  set anaglyphMode(val) {
+    if (val) {
+      this.setAttribute('anaglyph-mode', val);
+    } else {
+      this.removeAttribute('anaglyph-mode');
+    }
+  }
+
+  get display() {
+    return this.getAttribute('display');
+  }
+  set display(val) {
+    if (val) {
+      this.setAttribute('display', val);
+    } else {
+      this.removeAttribute('display');
+    }
+  }
+
+  get wiggleRate() {
+    return this.getAttribute('wiggle-rate');
+  }
+  set wiggleRate(val) {
+    if (val) {
+      this.setAttribute('wiggle-rate', val);
+    } else {
+      this.removeAttribute('wiggle-rate');
+    }
+  }
+
+  get wiggleFade() {
+    return this.hasAttribute('wiggle-fade');
+  }
+  set wiggleFade(val) {
+    if (val) {
+      this.setAttribute('wiggle-fade', '');
+    } else {
+      this.removeAttribute('wiggle-fade');
+    }
+  }
+
+  /** 'eager' (default), or 'lazy' to only create the renderer and parse the source once the element is near the viewport */
+  get loading() {
+    return this.getAttribute('loading');
+  }
+  set loading(val) {
+    if (val) {
+      this.setAttribute('loading', val);
+    } else {
+      this.removeAttribute('loading');
+    }
+  }
+
+  /** render through a WebGL context shared by all elements of the page with this attribute, read once connected */
+  get sharedRenderer() {
+    return this.hasAttribute('shared-renderer');
+  }
+  set sharedRenderer(val) {
+    if (val) {
+      this.setAttribute('shared-renderer', '');
+    } else {
+      this.removeAttribute('shared-renderer');
+    }
+  }
+
+  get droppable() {
+    return this.hasAttribute('droppable');
+  }
+  set droppable(val) {
+    if (val) {
+      this.setAttribute('droppable', '');
+    } else {
+      this.removeAttribute('droppable');
+    }
+  }
+
+  /** Stereo picture or video to display: the src URL, or the File, Blob or ArrayBuffer given to load() */
+  get source() {
+    return this._source || this.src;
+  }
+  set source(val) {
+    if (typeof val === 'string' || !val) {
+      this.src = val;
+    } else {
+      this.load(val);
+    }
+  }
+
+  /**
+   * Display a stereo picture or video from its content, for example a File from an <input type="file"> before it is uploaded
+   * @Param {File|Blob|ArrayBuffer} source
+   * @Returns {Promise} resolves once the picture is displayed, waiting for the element to be connected or near the viewport if needed, rejects if it cannot be parsed
+   */
+  async load(source) {
+    this._source = source;
+    await this.scheduleParse();
+  }
+
   get src() {
     return this.getAttribute('src');
   }
   set src(val) {
     if (this.getAttribute('src') === val) {
-      this.camera?.position.set(0, 0, 0.1);
+      if (this._source) {
+        // back from a loaded file to the same src
+        this._source = null;
+        this.scheduleParse();
+      } else {
+        this.resetView();
+      }
       return;
     }
 
@@ -83,13 +472,390 @@ class StereoImg extends HTMLElement {
     } else {
       this.removeAttribute('src');
     }
+  }
+
+  /** boolean, warp the right eye to line up with the left eye, for pairs shot with two cameras */
+  get rectify() {
+    return this.hasAttribute('rectify');
+  }
+  set rectify(val) {
+    if (val) {
+      this.setAttribute('rectify', '');
+    } else {
+      this.removeAttribute('rectify');
+    }
+  }
+
+  /** field of view of the lenses of dual-fisheye pictures, in degrees, defaults to 180 */
+  get lensFov() {
+    return this.getAttribute('lens-fov');
+  }
+  set lensFov(val) {
+    if (val) {
+      this.setAttribute('lens-fov', val);
+    } else {
+      this.removeAttribute('lens-fov');
+    }
+  }
+
+  /** image circle of the left eye of dual-fisheye pictures: "x y radius" in pixels of the eye */
+  get leftCircle() {
+    return this.getAttribute('left-circle');
+  }
+  set leftCircle(val) {
+    if (val) {
+      this.setAttribute('left-circle', val);
+    } else {
+      this.removeAttribute('left-circle');
+    }
+  }
+
+  /** image circle of the right eye of dual-fisheye pictures: "x y radius" in pixels of the eye */
+  get rightCircle() {
+    return this.getAttribute('right-circle');
+  }
+  set rightCircle(val) {
+    if (val) {
+      this.setAttribute('right-circle', val);
+    } else {
+      this.removeAttribute('right-circle');
+    }
+  }
+
+  /** arrangement of the faces of cubemaps: 'strip' (default) or 'grid' */
+  get cubemapLayout() {
+    return this.getAttribute('cubemap-layout');
+  }
+  set cubemapLayout(val) {
+    if (val) {
+      this.setAttribute('cubemap-layout', val);
+    } else {
+      this.removeAttribute('cubemap-layout');
+    }
+  }
+
+  /** order of the faces of cubemaps, 'right left up down front back' by default */
+  get cubemapOrder() {
+    return this.getAttribute('cubemap-order');
+  }
+  set cubemapOrder(val) {
+    if (val) {
+      this.setAttribute('cubemap-order', val);
+    } else {
+      this.removeAttribute('cubemap-order');
+    }
+  }
+
+  /** surface showing pictures that are not 180° or 360°: 'sphere' (default), 'flat' or 'curved' */
+  get projection() {
+    return this.getAttribute('projection');
+  }
+  set projection(val) {
+    if (val) {
+      this.setAttribute('projection', val);
+    } else {
+      this.removeAttribute('projection');
+    }
+  }
+
+  /** distance of flat and curved screens, in meters, defaults to 10 */
+  get screenDistance() {
+    return this.getAttribute('screen-distance');
+  }
+  set screenDistance(val) {
+    if (val) {
+      this.setAttribute('screen-distance', val);
+    } else {
+      this.removeAttribute('screen-distance');
+    }
+  }
+
+  /** multiplies the depth of stereo synthesized from depth map photos, defaults to 1 */
+  get depthScale() {
+    return this.getAttribute('depth-scale');
+  }
+  set depthScale(val) {
+    if (val !== null && val !== undefined) {
+      this.setAttribute('depth-scale', val);
+    } else {
+      this.removeAttribute('depth-scale');
+    }
+  }
+
+  /** 'auto', or horizontal shift between eyes in pixels ('12px' or '12') or percents of eye width ('1.5%'), positive values push the picture away */
+  get convergence() {
+    return this.getAttribute('convergence');
+  }
+  set convergence(val) {
+    if (val || val === 0) {
+      this.setAttribute('convergence', val);
+    } else {
+      this.removeAttribute('convergence');
+    }
+  }
+
+  get convergenceDrag() {
+    return this.hasAttribute('convergence-drag');
+  }
+  set convergenceDrag(val) {
+    if (val) {
+      this.setAttribute('convergence-drag', '');
+    } else {
+      this.removeAttribute('convergence-drag');
+    }
+  }
+
+  /** initial view direction in degrees, from the center of the picture: positive yaw looks right, positive pitch looks up */
+  get yaw() {
+    return this.getAttribute('yaw');
+  }
+  set yaw(val) {
+    if (val || val === 0) {
+      this.setAttribute('yaw', val);
+    } else {
+      this.removeAttribute('yaw');
+    }
+  }
+
+  get pitch() {
+    return this.getAttribute('pitch');
+  }
+  set pitch(val) {
+    if (val || val === 0) {
+      this.setAttribute('pitch', val);
+    } else {
+      this.removeAttribute('pitch');
+    }
+  }
+
+  /** initial vertical field of view in degrees, zooming changes it between min-fov and max-fov */
+  get fov() {
+    return this.getAttribute('fov');
+  }
+  set fov(val) {
+    if (val) {
+      this.setAttribute('fov', val);
+    } else {
+      this.removeAttribute('fov');
+    }
+  }
+
+  get minFov() {
+    return this.getAttribute('min-fov');
+  }
+  set minFov(val) {
+    if (val) {
+      this.setAttribute('min-fov', val);
+    } else {
+      this.removeAttribute('min-fov');
+    }
+  }
+
+  get maxFov() {
+    return this.getAttribute('max-fov');
+  }
+  set maxFov(val) {
+    if (val) {
+      this.setAttribute('max-fov', val);
+    } else {
+      this.removeAttribute('max-fov');
+    }
+  }
+
+  /** keep the view within the picture, instead of looking at the black sphere around it */
+  get clampToImage() {
+    return this.hasAttribute('clamp-to-image');
+  }
+  set clampToImage(val) {
+    if (val) {
+      this.setAttribute('clamp-to-image', '');
+    } else {
+      this.removeAttribute('clamp-to-image');
+    }
+  }
+
+  /**
+   * Current view in degrees: { yaw, pitch, fov }, see the yaw, pitch and fov attributes.
+   * Set only some of them to keep the others, a viewchange event is dispatched when the view changes.
+   */
+  get view() {
+    if (!this.controls) {
+      return null;
+    }
+    return {
+      yaw: -THREE.MathUtils.radToDeg(this.controls.getAzimuthalAngle()),
+      pitch: THREE.MathUtils.radToDeg(this.controls.getPolarAngle() - Math.PI / 2),
+      fov: this.camera.fov,
+    };
+  }
+  set view(val) {
+    if (!this.controls) {
+      return;
+    }
+    const view = { ...this.view, ...val };
+
+    const limits = this.fovLimits();
+    const fov = clamp(view.fov, limits.min, limits.max);
+    const zoomed = fov !== this.camera.fov;
+    if (zoomed) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+      // rotate slower when zoomed in
+      this.controls.rotateSpeed = DEFAULT_ROTATE_SPEED * fov / DEFAULT_FOV;
+      this.updateViewLimits();
+    }
+
+    // the camera orbits on the opposite side of the view direction
+    this.camera.position.setFromSphericalCoords(CAMERA_DISTANCE, Math.PI / 2 + THREE.MathUtils.degToRad(view.pitch), -THREE.MathUtils.degToRad(view.yaw));
+    this.camera.position.add(this.controls.target);
+    // applies the limits, the change listener dispatches viewchange if the camera moved
+    const moved = this.controls.update();
+    if (zoomed && !moved) {
+      this.dispatchEvent(new CustomEvent('viewchange', { detail: this.view }));
+    }
+  }
+
+  /** Look at the view of the yaw, pitch and fov attributes, or at the initial view of the picture metadata */
+  resetView() {
+    if (!this.controls) {
+      return;
+    }
+    const number = (attribute) => attribute === null || attribute === '' ? undefined : Number(attribute);
+    const initialView = this.stereoData?.initialView;
+    let metadataFov;
+    if (initialView?.horizontalFov) {
+      const horizontalFov = THREE.MathUtils.degToRad(initialView.horizontalFov);
+      metadataFov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(horizontalFov / 2) / this.camera.aspect));
+    }
+
+    this.updateViewLimits();
+    this.view = {
+      yaw: number(this.yaw) ?? initialView?.yaw ?? 0,
+      pitch: number(this.pitch) ?? initialView?.pitch ?? 0,
+      fov: number(this.fov) ?? metadataFov ?? DEFAULT_FOV,
+    };
+  }
+
+  /** angle of view of the picture, null for empty pictures */
+  pictureArea() {
+    const screen = this.stereoData && this.screenSize();
+    if (screen) {
+      // the height of screens follows the aspect ratio of the picture, not its guessed vertical angle of view
+      const thetaLength = 2 * Math.atan(screen.height / 2 / screen.distance);
+      return { phiLength: this.stereoData.phiLength, thetaStart: Math.PI / 2 - thetaLength / 2, thetaLength };
+    }
+    const { phiLength, thetaStart, thetaLength } = this.stereoData || {};
+    return phiLength > 0 && thetaLength > 0 ? { phiLength, thetaStart, thetaLength } : null;
+  }
+
+  /** range of the vertical field of view, in degrees */
+  fovLimits() {
+    const min = this.minFov ? Number(this.minFov) : DEFAULT_MIN_FOV;
+    let max = this.maxFov ? Number(this.maxFov) : DEFAULT_MAX_FOV;
+    const area = this.pictureArea();
+    if (this.clampToImage && area) {
+      max = Math.min(max, THREE.MathUtils.radToDeg(area.thetaLength));
+      if (area.phiLength < Math.PI) {
+        // vertical field of view showing the whole width of the picture
+        max = Math.min(max, THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(area.phiLength / 2) / this.camera.aspect)));
+      }
+    }
+    return { min, max: Math.max(min, max) };
+  }
 
-    // use setTimeout to ensure all DOM updates have finished, it's indeed common to update both src= and type= at the same time.
-    // There is probably a cleaner way to do this.
-    let that = this;
-    window.setTimeout(() => {
-      that.parseImageAndInitialize3DScene();
-    }, 0);
+  /** Limit looking around to the picture, when clamp-to-image is set */
+  updateViewLimits() {
+    if (!this.controls) {
+      return;
+    }
+    const controls = this.controls;
+    controls.minAzimuthAngle = -Infinity;
+    controls.maxAzimuthAngle = Infinity;
+    controls.minPolarAngle = 0;
+    controls.maxPolarAngle = Math.PI;
+
+    const area = this.pictureArea();
+    if (!(this.clampToImage && area)) {
+      return;
+    }
+    const halfVerticalFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+    const halfHorizontalFov = Math.atan(Math.tan(halfVerticalFov) * this.camera.aspect);
+    if (area.phiLength < 2 * Math.PI) {
+      const azimuth = Math.max(0, area.phiLength / 2 - halfHorizontalFov);
+      controls.minAzimuthAngle = -azimuth;
+      controls.maxAzimuthAngle = azimuth;
+    }
+    // polar angles of the camera position, opposite to the view direction
+    const minPolar = Math.PI - area.thetaStart - area.thetaLength + halfVerticalFov;
+    const maxPolar = Math.PI - area.thetaStart - halfVerticalFov;
+    controls.minPolarAngle = minPolar <= maxPolar ? minPolar : (minPolar + maxPolar) / 2;
+    controls.maxPolarAngle = minPolar <= maxPolar ? maxPolar : (minPolar + maxPolar) / 2;
+  }
+
+  /**
+   * Zoom in (factor < 1) or out (factor > 1) by changing the field of view
+   * @Returns {boolean} false when the field of view is already at its limit
+   */
+  zoom(factor) {
+    const fov = this.camera.fov;
+    this.view = { fov: fov * factor };
+    return this.camera.fov !== fov;
+  }
+
+  /** milliseconds to look at an in-VR button to select it, defaults to 1000, 0 to only select with controllers or hands */
+  get dwellMs() {
+    return this.getAttribute('dwell-ms');
+  }
+  set dwellMs(val) {
+    if (val !== null && val !== undefined) {
+      this.setAttribute('dwell-ms', val);
+    } else {
+      this.removeAttribute('dwell-ms');
+    }
+  }
+
+  /** boolean, look around by moving the phone */
+  get gyro() {
+    return this.hasAttribute('gyro');
+  }
+  set gyro(val) {
+    if (val) {
+      this.setAttribute('gyro', '');
+    } else {
+      this.removeAttribute('gyro');
+    }
+  }
+
+  /** Start or stop following the device orientation, iOS needs a button to ask for permission */
+  updateGyro() {
+    const button = this.shadowRoot.querySelector('.gyro-permission');
+    if (!(this.gyro && this.renderer)) {
+      this.gyroControls?.disconnect();
+      this.gyroControls = null;
+      button.hidden = true;
+      return;
+    }
+    if (this.gyroControls) {
+      return;
+    }
+    this.gyroControls = new GyroControls();
+    if (GyroControls.needsPermission()) {
+      button.hidden = false;
+      button.onclick = async () => {
+        if (await GyroControls.requestPermission()) {
+          button.hidden = true;
+          this.gyroControls?.connect();
+        }
+      };
+    } else {
+      this.gyroControls.connect();
+    }
+  }
+
+  /** Look at the initial view again, the current orientation of the phone becomes the reference of gyro */
+  recenter() {
+    this.resetView();
+    this.gyroControls?.reset();
   }
 
   get backImageSrc() {
@@ -101,58 +867,369 @@ class StereoImg extends HTMLElement {
     } else {
       this.removeAttribute('backImageSrc');
     }
+  }
+
+  /**
+   * Parse the source again and rebuild the scene once the current task is done: it's indeed common to update both src= and type= at the same time.
+   * Sources changed while the element is not in the document are parsed once it is connected.
+   * @Returns {Promise} resolves once the picture is displayed, or replaced by another source, rejects with parsing errors
+   */
+  scheduleParse() {
+    if (!this.parsePromise) {
+      this.parsePromise = Promise.resolve().then(() => {
+        this.parsePromise = null;
+        if (!this.renderer) {
+          this.needsParse = true;
+          return this.deferDisplay();
+        }
+        return this.parseImageAndInitialize3DScene();
+      });
+      // errors are already displayed and dispatched, only callers awaiting the promise get them
+      this.parsePromise.catch(() => {});
+    }
+    return this.parsePromise;
+  }
+
+  /** Promise settled once the element is initialized and its picture is displayed, see initialize() */
+  deferDisplay() {
+    if (!this.deferredDisplay) {
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      this.deferredDisplay = deferred;
+    }
+    return this.deferredDisplay.promise;
+  }
 
-    // use setTimeout to ensure all DOM updates have finished, it's indeed common to update both src= and type= at the same time.
-    // There is probably a cleaner way to do this.
-    let that = this;
-    window.setTimeout(() => {
-      that.parseImageAndInitialize3DScene();
-    }, 0);
+  /**
+   * Set the zero-parallax point of the wigglegram: this point of the picture does not move when switching eyes.
+   * @Param {number} x, y - pixel coordinates in the left eye image
+   */
+  setWigglePivot(x, y) {
+    if (!this.stereoData) {
+      return;
+    }
+    if (this.stereoData.video) {
+      console.warn('<stereo-img> wigglegram pivot is not supported for videos');
+      return;
+    }
+    this.wigglePivotDisparity = matchDisparityAt(this.stereoData.leftEye, this.stereoData.rightEye, x, y);
+    this.updateEyeOffsets();
   }
 
+  /** Set the wigglegram pivot to the point of the picture under the pointer event */
+  setWigglePivotFromPointer(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      (event.clientX - rect.left) / rect.width * 2 - 1,
+      -(event.clientY - rect.top) / rect.height * 2 + 1
+    );
+    this.pivotRaycaster.setFromCamera(pointer, this.camera);
+    const intersect = this.pivotRaycaster.intersectObject(this.leftEyeMesh)[0];
+    if (!intersect?.uv) {
+      return;
+    }
+    const fisheye = this.stereoData.fisheye;
+    if (fisheye) {
+      const position = fisheyePosition(intersect.uv.x, intersect.uv.y, this.stereoData, fisheye.left);
+      if (position) {
+        this.setWigglePivot(position.x, position.y);
+      }
+      return;
+    }
+    const tile = intersect.object.userData.tile;
+    if (tile) {
+      // tiled eyes are rotated, not shifted
+      this.setWigglePivot(tile.x + intersect.uv.x * tile.width, tile.y + (1 - intersect.uv.y) * tile.height);
+      return;
+    }
+    // the displayed texture is shifted by the current offset
+    const u = intersect.uv.x + this.leftEyeMesh.material.map.offset.x;
+    this.setWigglePivot(u * this.stereoData.leftEye.width, (1 - intersect.uv.y) * this.stereoData.leftEye.height);
+  }
+
+  /** width of an eye, in pixels, 0 if unknown yet */
+  eyeWidth() {
+    if (this.stereoData.video) {
+      return this.stereoData.video.videoWidth * this.stereoData.leftEyeRect.width;
+    }
+    return this.stereoData.leftEye.width;
+  }
+
+  /** height of an eye, in pixels, 0 if unknown yet */
+  eyeHeight() {
+    if (this.stereoData.video) {
+      return this.stereoData.video.videoHeight * this.stereoData.leftEyeRect.height;
+    }
+    return this.stereoData.leftEye.height;
+  }
+
+  /** 'flat' or 'curved' when the projection attribute applies to the picture, null for spheres */
+  screenProjection() {
+    const { cubemap, fisheye, phiLength } = this.stereoData;
+    if (!['flat', 'curved'].includes(this.projection) || cubemap || fisheye) {
+      return null;
+    }
+    if (this.projection === 'flat' && phiLength >= MAX_FLAT_ANGLE) {
+      return null;
+    }
+    return this.projection;
+  }
+
+  /**
+   * Flat or curved screen showing the picture, sized so that it covers the angle of view of the picture from the viewer,
+   * as guessed from its focal length, with the aspect ratio of the eyes
+   * @Returns {Object} { projection, distance, width, height } in meters, null for spheres
+   */
+  screenSize() {
+    const projection = this.screenProjection();
+    if (!projection) {
+      return null;
+    }
+    const distance = Number(this.screenDistance) > 0 ? Number(this.screenDistance) : SPHERE_RADIUS;
+    const { phiLength } = this.stereoData;
+    const width = projection === 'flat' ? 2 * distance * Math.tan(phiLength / 2) : distance * phiLength;
+    return { projection, distance, width, height: width * this.eyeHeight() / this.eyeWidth() };
+  }
+
+  /** disparity brought to the screen plane by the convergence attribute, in pixels of the eye images */
+  convergenceDisparity() {
+    const convergence = this.convergence?.trim();
+    if (!convergence) {
+      return 0;
+    }
+    if (convergence === 'auto') {
+      if (this.stereoData.video) {
+        console.warn('<stereo-img> automatic convergence is not supported for videos');
+        return 0;
+      }
+      if (this.autoConvergenceDisparity === undefined) {
+        this.autoConvergenceDisparity = estimateConvergence(this.stereoData.leftEye, this.stereoData.rightEye);
+      }
+      return this.autoConvergenceDisparity;
+    }
+    const value = parseFloat(convergence);
+    if (isNaN(value)) {
+      console.warn(`<stereo-img> invalid convergence "${convergence}", expected "auto", pixels ("12px") or percents ("1.5%")`);
+      return 0;
+    }
+    return convergence.endsWith('%') ? value / 100 * this.eyeWidth() : value;
+  }
+
+  /** disparity brought to the screen plane: the wigglegram pivot if one was chosen, else the convergence */
+  zeroParallaxDisparity() {
+    if (this.display === 'wiggle' && this.wigglePivotDisparity !== null) {
+      return this.wigglePivotDisparity;
+    }
+    return this.convergenceDisparity();
+  }
+
+  /** Shift eye textures so that the zero parallax disparity ends up on the screen plane */
+  updateEyeOffsets() {
+    if (!(this.leftEyeMesh && this.rightEyeMesh)) {
+      return;
+    }
+    const disparity = this.dragDisparity ?? this.zeroParallaxDisparity();
+    const eyeWidth = this.eyeWidth();
+    // in eye widths, mono pictures have no disparity
+    const offset = disparity && eyeWidth && this.stereoData.stereo !== false ? disparity / 2 / eyeWidth : 0;
+    for (const [eyeMesh, direction] of [[this.leftEyeMesh, 1], [this.rightEyeMesh, -1]]) {
+      if (eyeMesh.userData.tiled || eyeMesh.material.isShaderMaterial) {
+        // shifting the textures of tiles would show their edges, and projection shaders ignore texture offsets: rotate the whole eye instead
+        eyeMesh.rotation.y = Math.PI / 2 + direction * offset * eyeWidth / this.eyePixelsPerRadian();
+      } else {
+        const texture = eyeMesh.material.map;
+        texture.offset.x = texture.userData.eyeOffsetX + direction * offset * texture.repeat.x;
+      }
+    }
+  }
+
+  /** eye image pixels per radian, at the center of the picture */
+  eyePixelsPerRadian() {
+    // cubemap faces cover 90° each
+    if (this.stereoData.cubemap) {
+      return this.stereoData.cubemap.faceSize / (Math.PI / 2);
+    }
+    const screen = this.screenSize();
+    if (screen?.projection === 'flat') {
+      return this.eyeWidth() / screen.width * screen.distance;
+    }
+    return this.eyeWidth() / this.stereoData.phiLength;
+  }
+
+  /** eye image pixels per screen pixel, at the center of the view */
+  eyePixelsPerScreenPixel() {
+    const horizontalFov = 2 * Math.atan(Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * this.camera.aspect);
+    return this.eyePixelsPerRadian() * horizontalFov / this.canvas.clientWidth;
+  }
+
+  /**
+   * Export the picture as an animated wigglegram, aligned on the pivot point
+   * @Param {Object} (options) - type: 'image/gif' (default) or 'image/webp', width: in pixels, rate: eye switches per second, fade: cross-fade between eyes
+   * @Returns {Promise<Blob>}
+   */
+  async toWiggleBlob(options) {
+    if (this.stereoData.video) {
+      throw new Error('Wigglegram export is not supported for videos');
+    }
+    return encodeWiggle(this.stereoData.leftEye, this.stereoData.rightEye, {
+      rate: this.wiggleRate,
+      fade: this.wiggleFade,
+      ...options,
+      disparity: this.zeroParallaxDisparity(),
+    });
+  }
+
+  /** milliseconds to look at an in-VR button to select it, 0 if disabled */
+  dwellMilliseconds() {
+    const dwellMs = this.dwellMs;
+    return dwellMs === null || dwellMs === '' ? PREV_NEXT_TIMEOUT_MS : Math.max(0, Number(dwellMs) || 0);
+  }
+
+  /** Select an in-VR button by looking at it for dwell-ms */
   prevNextTest() {
     if (!(this.scene && this.camera && this.raycaster && this.prevNextButtons)) {
       return;
     }
+    const dwellMs = this.dwellMilliseconds();
 
     // update the picking ray with the camera and pointer position
     this.raycaster.setFromCamera(new THREE.Vector2(), this.camera);
+    const button = dwellMs ? this.intersectButton(this.raycaster)?.button : null;
 
-    // calculate objects intersecting the picking ray
-    const intersects = this.raycaster.intersectObjects(this.prevNextButtons);
-
-    if (!intersects || intersects.length === 0 && this.prevNextTimer) {
+    if (button !== this.timerButton) {
       clearTimeout(this.prevNextTimer);
       this.prevNextTimer = null;
-      return;
+      this.timerButton = null;
+    }
+    if (button && !this.prevNextTimer) {
+      this.timerRingForPrev = button.name === 'prev';
+      this.timerButton = button;
+      this.prevNextTimerStartMS = performance.now();
+      this.prevNextTimerDurationMS = dwellMs;
+      this.prevNextTimer = setTimeout(() => {
+        this.prevNextTimer = null;
+        this.timerButton = null;
+        this.activateButton(button);
+      }, dwellMs);
     }
+  }
+
+  /** in-VR buttons and hotspots, selected by looking or pointing at them */
+  selectableObjects() {
+    return [...(this.prevNextButtons || []), ...(this.videoButtons || []), ...(this.hotspotButtons || [])];
+  }
+
+  /**
+   * First in-VR button hit by the ray
+   * @Param {THREE.Raycaster} raycaster
+   * @Returns {Object|null} { button, distance }
+   */
+  intersectButton(raycaster) {
+    const buttons = this.selectableObjects();
+    const intersect = raycaster.intersectObjects(buttons)[0];
+    let button = intersect?.object;
+    // meshes of icons are nested in the button group
+    while (button && !buttons.includes(button)) {
+      button = button.parent;
+    }
+    return button ? { button, distance: intersect.distance } : null;
+  }
+
+  activateButton(button) {
+    if (button.name === 'prev') {
+      this.dispatchEvent(new Event("stereoImgGoToPrev"));
+    } else if (button.name === 'next') {
+      this.dispatchEvent(new Event("stereoImgGoToNext"));
+    } else if (button.userData.hotspot) {
+      // bubbles up to this element
+      button.userData.hotspot.dispatchEvent(new CustomEvent('hotspotselect', { bubbles: true, detail: { hotspot: button.userData.hotspot } }));
+    } else {
+      button.userData.onSelect?.();
+    }
+  }
+
+  /** true if this element is the one displayed in VR */
+  isPresenting() {
+    return !!this.renderer?.xr.isPresenting && (!this.shared || this.shared.xrElement === this);
+  }
 
+  /** Point the raycaster along the target ray of an XR controller or tracked hand */
+  setRayFromController(raycaster, controller) {
+    const rotation = new THREE.Matrix4().extractRotation(controller.matrixWorld);
+    raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+    raycaster.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+  }
 
-    for (let i = 0; i < intersects.length; i++) {
-      if (!(intersects[i].object && intersects[i].object.parent)) {
-        return;
+  /**
+   * Point at in-VR buttons with controllers or tracked hands, and select them with the trigger or by pinching.
+   * Controllers belong to the renderer, the shared renderer gives the same controllers to all elements.
+   */
+  initXRControllers() {
+    this.controllerRaycaster = new THREE.Raycaster();
+    this.xrControllers = [0, 1].map((index) => {
+      const controller = this.renderer.xr.getController(index);
+      if (!controller.userData.laser) {
+        const laser = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+          new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 })
+        );
+        laser.scale.z = LASER_LENGTH;
+        laser.visible = false;
+        controller.add(laser);
+        controller.userData.laser = laser;
+        // gaze input has no ray to show
+        controller.addEventListener('connected', (event) => {
+          laser.visible = event.data.targetRayMode === 'tracked-pointer';
+        });
+        controller.addEventListener('disconnected', () => {
+          laser.visible = false;
+        });
       }
-
-      if (intersects[i].object.parent.name === "prev") {
-        this.timerRingForPrev = true;
-        if (!this.prevNextTimer) {
-          this.prevNextTimerStartMS = performance.now();
-          this.prevNextTimer = setTimeout(() => {
-            clearTimeout(this.prevNextTimer);
-            this.prevNextTimer = null;
-            this.dispatchEvent(new Event("stereoImgGoToPrev"));
-          }, PREV_NEXT_TIMEOUT_MS)
+      // removed on dispose, three.js event dispatchers do not support abort signals
+      controller.userData.onSelect = controller.userData.onSelect || new Map();
+      const onSelect = () => {
+        if (!(this.isPresenting() && this.scene)) {
+          return;
         }
-      } else if (intersects[i].object.parent.name === "next") {
-        this.timerRingForPrev = false;
-        if (!this.prevNextTimer) {
-          this.prevNextTimerStartMS = performance.now();
-          this.prevNextTimer = setTimeout(() => {
-            clearTimeout(this.prevNextTimer);
-            this.prevNextTimer = null;
-            this.dispatchEvent(new Event("stereoImgGoToNext"));
-          }, PREV_NEXT_TIMEOUT_MS)
+        this.setRayFromController(this.controllerRaycaster, controller);
+        const intersect = this.intersectButton(this.controllerRaycaster);
+        if (intersect) {
+          this.activateButton(intersect.button);
         }
+      };
+      controller.userData.onSelect.set(this, onSelect);
+      controller.addEventListener('select', onSelect);
+      return controller;
+    });
+  }
+
+  /** Highlight buttons pointed at by controllers or looked at, and stop lasers at the button they point at */
+  updateButtonHover() {
+    const hovered = new Set();
+    for (const button of [this.timerButton, this.pointerHotspot]) {
+      if (button) {
+        hovered.add(button);
+      }
+    }
+    for (const controller of this.isPresenting() ? this.xrControllers : []) {
+      const laser = controller.userData.laser;
+      if (!laser.visible) {
+        continue;
+      }
+      this.setRayFromController(this.controllerRaycaster, controller);
+      const intersect = this.intersectButton(this.controllerRaycaster);
+      laser.scale.z = intersect ? intersect.distance : LASER_LENGTH;
+      if (intersect) {
+        hovered.add(intersect.button);
+      }
+    }
+    for (const button of this.selectableObjects()) {
+      button.userData.innerMaterial.color.setHex(hovered.has(button) ? BUTTON_HOVER_COLOR : BUTTON_COLOR);
+      if (button.userData.label) {
+        button.userData.label.visible = hovered.has(button);
       }
     }
   }
@@ -160,6 +1237,8 @@ class StereoImg extends HTMLElement {
   updatePrevNextRing() {
     if (this.timerRing) {
       this.scene.remove(this.timerRing);
+      this.timerRing.geometry.dispose();
+      this.timerRing.material.dispose();
       this.timerRing = null;
     }
     
@@ -167,13 +1246,12 @@ class StereoImg extends HTMLElement {
       const timeSinceStartedMS = performance.now() - this.prevNextTimerStartMS;
 
       const timerRingMaterial = new THREE.MeshBasicMaterial({ color: 0xf4870e, side: THREE.DoubleSide, depthWrite: false });
-      const timerRingGeometry = new THREE.RingGeometry(1.0, 1.10, 128, 1, 0, linearScale(timeSinceStartedMS, 0, PREV_NEXT_TIMEOUT_MS, 0, this.timerRingForPrev ? Math.PI * 2 : -Math.PI * 2));
+      const timerRingGeometry = new THREE.RingGeometry(1.0, 1.10, 128, 1, 0, linearScale(timeSinceStartedMS, 0, this.prevNextTimerDurationMS, 0, this.timerRingForPrev ? Math.PI * 2 : -Math.PI * 2));
       this.timerRing = new THREE.Mesh(
         timerRingGeometry,
         timerRingMaterial
       );
-      this.timerRing.position.x = this.timerRingForPrev ? -9.8 : 9.8;
-      this.timerRing.position.z = 1.0;
+      this.timerRing.position.copy(this.timerButton.position);
       this.timerRing.up.set(1, 0, 0);
       this.timerRing.lookAt(this.camera.position);
       // this.timerRing.rotation.x = Math.PI / 2;
@@ -188,102 +1266,250 @@ class StereoImg extends HTMLElement {
     }
   }
 
-  animate() {
-    this.renderer.setAnimationLoop(() => {
-      this.controls?.update();
-      this.updatePrevNextRing();
-      this.renderer.render(this.scene, this.camera);
-    });
+  render() {
+    this.stereoDisplay.render(this.scene, this.camera);
   }
 
-  async parse() {
-    if (this.src) {
-      if (this.type === 'vr') {
-        this.stereoData = await parseVR(this.src);
-      } else if (this.type === 'left-right' || this.type === 'top-bottom') {
-        this.stereoData = await parseStereo(this.src, {
-          type: this.type,
-          angle: this.angle,
-        });
-      } else if (this.type === 'anaglyph') {
-        this.stereoData = await parseAnaglyph(this.src, {
-          angle: this.angle,
-        });
-      } else {
-        // Read XMP metadata
-        const exif = await exifr.parse(this.src, {
-          xmp: true,
-          multiSegment: true,
-          mergeOutput: false,
-          ihdr: true, //unclear why we need this, but if not enabled, some VR180 XMP Data are not parsed
-        });
-
-        if (exif?.GImage?.Data) {
-          // XMP for left eye found, assume VR Photo
-          this.stereoData = await parseVR(this.src);
-        } else {
-          // no left eye found, assume left-right
-          console.warn('<stereo-img> does not have a "type" attribute and image does not have XMP metadata of a VR picture.  Use "type" attribute to specify the type of stereoscopic image. Assuming left-right stereo image.');
-          this.stereoData = await parseStereo(this.src, {
-            angle: this.angle,
-          });
+  renderFrame() {
+    // nothing to display until the first picture is parsed
+    if (!this.scene) {
+      return;
+    }
+    // in VR, the headset moves the camera
+    const gyroChange = this.renderer.xr.isPresenting ? null : this.gyroControls?.update();
+    if (gyroChange) {
+      const view = this.view;
+      // also updates the controls
+      this.view = { yaw: view.yaw + gyroChange.yaw, pitch: view.pitch + gyroChange.pitch };
+    } else {
+      this.controls?.update();
+    }
+    if (this.isPresenting()) {
+      // controllers are only posed in the scene being displayed in VR
+      for (const controller of this.xrControllers) {
+        if (controller.parent !== this.scene) {
+          this.scene.add(controller);
         }
       }
-    } else {
-      // no src attribute. Use fake stereo data.
-      this.stereoData = {
-        leftEye: new ImageData(10, 10),
-        rightEye: new ImageData(10, 10),
-        phiLength: 0,
-        thetaStart: 0,
-        thetaLength: 0
-      };
+      // the headset moves the camera without moving the controls
+      this.prevNextTest();
     }
+    this.updateButtonHover();
+    this.updatePrevNextRing();
+    this.render();
   }
 
-  async initialize3DScene() {
-    this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0x101010);
-
-    const radius = 10; // 500
+  /** Render every frame while the element is near the viewport, or displayed in VR */
+  updateAnimationLoop() {
+    if (!this.renderer) {
+      return;
+    }
+    const running = this.nearViewport || this.renderer.xr.isPresenting;
+    if (this.shared) {
+      running ? this.shared.start(this) : this.shared.stop(this);
+    } else {
+      this.renderer.setAnimationLoop(running ? () => this.renderFrame() : null);
+    }
+  }
 
-    // left eye
-    const texture1 = new THREE.Texture(this.stereoData.leftEye);
-    texture1.needsUpdate = true;
+  /**
+   * @Param {Object} (callbacks) - onProgress and onPreview, see parseStereoSource()
+   */
+  async parse(callbacks) {
+    return parseStereoSource(this.source, {
+      type: this.type,
+      angle: this.angle,
+      anaglyphColors: this.anaglyphColors,
+      anaglyphMode: this.anaglyphMode,
+      rectify: this.rectify,
+      depthScale: this.depthScale ? Number(this.depthScale) : undefined,
+      lensFov: this.lensFov,
+      leftCircle: this.leftCircle,
+      rightCircle: this.rightCircle,
+      cubemapLayout: this.cubemapLayout,
+      cubemapOrder: this.cubemapOrder,
+      ...callbacks,
+    });
+  }
 
-    // TODO: Screen size should depend on image aspect ratio, camera fov...
-    const geometry1 = new THREE.SphereGeometry(radius, 60, 40, -1 * this.stereoData.phiLength / 2, this.stereoData.phiLength, this.stereoData.thetaStart, this.stereoData.thetaLength);
-    // invert the geometry on the x-axis so that all of the faces point inward
-    geometry1.scale(- 1, 1, 1);
+  /**
+   * @Param {ImageData} eye - eye image, for pictures
+   * @Param {Object} rect - area of the eye in the video frame, for videos
+   */
+  createEyeTexture(eye, rect) {
+    let texture;
+    if (this.stereoData.video) {
+      texture = new THREE.VideoTexture(this.stereoData.video);
+      texture.repeat.set(rect.width, rect.height);
+      texture.offset.set(rect.x, rect.y);
+    } else {
+      texture = new THREE.Texture(eye);
+      texture.needsUpdate = true;
+    }
+    texture.userData.eyeOffsetX = texture.offset.x;
+    return texture;
+  }
 
-    const material1 = new THREE.MeshBasicMaterial({ map: texture1 });
+  /** Free the geometries, materials and textures of the current scene */
+  disposeScene() {
+    if (!this.scene) {
+      return;
+    }
+    // controllers and their lasers belong to the renderer
+    for (const controller of this.xrControllers || []) {
+      this.scene.remove(controller);
+    }
+    this.scene.traverse((object) => {
+      object.geometry?.dispose();
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      for (const material of materials) {
+        material?.map?.dispose();
+        material?.uniforms?.map?.value.dispose();
+        material?.dispose();
+      }
+    });
+    // the camera is kept for the next scene, but not its reticle
+    this.camera?.clear();
+    this.scene = null;
+    this.timerRing = null;
+    this.hotspotButtons = null;
+    this.pointerHotspot = null;
+    this.leftEyeMesh = null;
+    this.rightEyeMesh = null;
+  }
 
-    const mesh1 = new THREE.Mesh(geometry1, material1);
-    mesh1.rotation.reorder('YXZ');
-    mesh1.rotation.y = Math.PI / 2;
-    mesh1.rotation.x = this.stereoData.roll || 0;
-    mesh1.rotation.z = this.stereoData.pitch || 0;
-    mesh1.layers.set(1); // display in left eye only
-    this.scene.add(mesh1);
+  /**
+   * Sphere segment, or flat or curved screen with the projection attribute, displaying an eye.
+   * Eyes larger than the maximum texture size of the GPU, like 16K panoramas on mobile, are split into a group of tiles, each with its own texture.
+   * @Param {ImageData} eye - eye image, for pictures
+   * @Param {Object} rect - area of the eye in the video frame, for videos
+   * @Param {number} radius - of the sphere
+   * @Param {Object} (fisheyeCircle) - image circle of the eye in dual fisheye pictures, projected by a shader
+   * @Returns {THREE.Mesh|THREE.Group} tiled groups have userData.tiled set
+   */
+  createEyeMesh(eye, rect, radius, fisheyeCircle) {
+    const { phiLength, thetaStart, thetaLength } = this.stereoData;
+    const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+    const WIDTH_SEGMENTS = 60;
+    const HEIGHT_SEGMENTS = 40;
+    const screen = this.screenSize();
+
+    // surface showing the part of the eye from u0 to u1 and from v0 to v1, as fractions of the eye from its top left corner
+    const eyeGeometry = (u0, u1, v0, v1) => {
+      const widthSegments = Math.max(1, Math.round(WIDTH_SEGMENTS * (u1 - u0)));
+      let geometry;
+      if (screen?.projection === 'flat') {
+        geometry = new THREE.PlaneGeometry((u1 - u0) * screen.width, (v1 - v0) * screen.height);
+        geometry.translate(((u0 + u1) / 2 - 0.5) * screen.width, (0.5 - (v0 + v1) / 2) * screen.height, -screen.distance);
+        // cancel the quarter turn of eyes
+        geometry.rotateY(-Math.PI / 2);
+        return geometry;
+      }
+      if (screen?.projection === 'curved') {
+        geometry = new THREE.CylinderGeometry(screen.distance, screen.distance, (v1 - v0) * screen.height, widthSegments, 1, true,
+          (u0 - 0.5) * phiLength, (u1 - u0) * phiLength);
+        geometry.translate(0, (0.5 - (v0 + v1) / 2) * screen.height, 0);
+        // cylinders start at +z: face inward and turn to -z, including the quarter turn of eyes
+        geometry.scale(- 1, 1, 1);
+        geometry.rotateY(Math.PI / 2);
+        return geometry;
+      }
+      geometry = new THREE.SphereGeometry(radius, widthSegments, Math.max(1, Math.round(HEIGHT_SEGMENTS * (v1 - v0))),
+        (u0 - 0.5) * phiLength, (u1 - u0) * phiLength, thetaStart + v0 * thetaLength, (v1 - v0) * thetaLength);
+      // invert the geometry on the x-axis so that all of the faces point inward
+      geometry.scale(- 1, 1, 1);
+      return geometry;
+    };
+    // screens closer than buttons and the reticle must not hide them
+    const eyeMaterial = (texture) => new THREE.MeshBasicMaterial({ map: texture, depthWrite: !screen });
+
+    let eyeMesh;
+    if (this.stereoData.cubemap) {
+      eyeMesh = this.createCubemapMesh(eye, radius);
+    } else if (this.stereoData.video || fisheyeCircle || (eye.width <= maxTextureSize && eye.height <= maxTextureSize)) {
+      const texture = this.createEyeTexture(eye, rect);
+      const material = fisheyeCircle ? createFisheyeMaterial(texture, this.stereoData, fisheyeCircle) : eyeMaterial(texture);
+      eyeMesh = new THREE.Mesh(eyeGeometry(0, 1, 0, 1), material);
+    } else {
+      eyeMesh = new THREE.Group();
+      eyeMesh.userData.tiled = true;
+      const columns = Math.ceil(eye.width / maxTextureSize);
+      const rows = Math.ceil(eye.height / maxTextureSize);
+      const tileWidth = Math.ceil(eye.width / columns);
+      const tileHeight = Math.ceil(eye.height / rows);
+      for (let y = 0; y < eye.height; y += tileHeight) {
+        for (let x = 0; x < eye.width; x += tileWidth) {
+          const tile = { x, y, width: Math.min(tileWidth, eye.width - x), height: Math.min(tileHeight, eye.height - y) };
+          const geometry = eyeGeometry(x / eye.width, (x + tile.width) / eye.width, y / eye.height, (y + tile.height) / eye.height);
+          const texture = new THREE.Texture(cropImageData(eye, tile.x, tile.y, tile.width, tile.height));
+          texture.needsUpdate = true;
+          const mesh = new THREE.Mesh(geometry, eyeMaterial(texture));
+          mesh.userData.tile = tile;
+          eyeMesh.add(mesh);
+        }
+      }
+    }
 
+    eyeMesh.rotation.reorder('YXZ');
+    eyeMesh.rotation.y = Math.PI / 2;
+    eyeMesh.rotation.x = this.stereoData.roll || 0;
+    eyeMesh.rotation.z = this.stereoData.pitch || 0;
+    return eyeMesh;
+  }
 
-    // right eye
+  /**
+   * Cube displaying the faces of an eye of a cubemap, each face with its own texture.
+   * Faces are tiles: their userData.tile is their area in the eye image.
+   * @Param {ImageData} eye - eye image
+   * @Param {number} halfSize - distance from the center to the faces
+   * @Returns {THREE.Group} with userData.tiled set
+   */
+  createCubemapMesh(eye, halfSize) {
+    // position and rotation of each face, so that it faces the center, upright, front is the center of the picture
+    const FACES = {
+      front: { position: [0, 0, -1], rotation: [0, 0] },
+      back: { position: [0, 0, 1], rotation: [0, Math.PI] },
+      right: { position: [1, 0, 0], rotation: [0, -Math.PI / 2] },
+      left: { position: [-1, 0, 0], rotation: [0, Math.PI / 2] },
+      up: { position: [0, 1, 0], rotation: [Math.PI / 2, 0] },
+      down: { position: [0, -1, 0], rotation: [-Math.PI / 2, 0] },
+    };
+    const cube = new THREE.Group();
+    for (const [face, tile] of Object.entries(this.stereoData.cubemap.faces)) {
+      const texture = new THREE.Texture(cropImageData(eye, tile.x, tile.y, tile.width, tile.height));
+      texture.needsUpdate = true;
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2 * halfSize, 2 * halfSize), new THREE.MeshBasicMaterial({ map: texture }));
+      mesh.position.fromArray(FACES[face].position).multiplyScalar(halfSize);
+      mesh.rotation.set(FACES[face].rotation[0], FACES[face].rotation[1], 0);
+      mesh.userData.tile = tile;
+      cube.add(mesh);
+    }
+    // eyes are rotated by a quarter turn, like the sphere segments
+    cube.rotation.y = -Math.PI / 2;
+    const eyeMesh = new THREE.Group();
+    eyeMesh.userData.tiled = true;
+    eyeMesh.add(cube);
+    return eyeMesh;
+  }
 
-    const texture2 = new THREE.Texture(this.stereoData.rightEye);
-    texture2.needsUpdate = true;
+  async initialize3DScene() {
+    this.disposeScene();
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x101010);
 
-    const geometry2 = new THREE.SphereGeometry(radius, 60, 40, -1 * this.stereoData.phiLength / 2, this.stereoData.phiLength, this.stereoData.thetaStart, this.stereoData.thetaLength);
-    geometry2.scale(- 1, 1, 1);
+    const radius = SPHERE_RADIUS;
+    if (this.projection && this.projection !== 'sphere' && !this.screenSize()) {
+      console.warn(`<stereo-img> projection ${this.projection} is not supported for this picture, displaying it on a sphere`);
+    }
 
-    const material2 = new THREE.MeshBasicMaterial({ map: texture2 });
+    this.leftEyeMesh = this.createEyeMesh(this.stereoData.leftEye, this.stereoData.leftEyeRect, radius, this.stereoData.fisheye?.left);
+    this.leftEyeMesh.traverse((object) => object.layers.set(1)); // display in left eye only
+    this.scene.add(this.leftEyeMesh);
 
-    const mesh2 = new THREE.Mesh(geometry2, material2);
-    mesh2.rotation.reorder('YXZ');
-    mesh2.rotation.y = Math.PI / 2;
-    mesh2.rotation.x = this.stereoData.roll || 0;
-    mesh2.rotation.z = this.stereoData.pitch || 0;
-    mesh2.layers.set(2); // display in right eye only
-    this.scene.add(mesh2);
+    // mono pictures share the texture of the left eye
+    this.rightEyeMesh = this.stereoData.stereo === false ? this.leftEyeMesh.clone() : this.createEyeMesh(this.stereoData.rightEye, this.stereoData.rightEyeRect, radius, this.stereoData.fisheye?.right);
+    this.rightEyeMesh.traverse((object) => object.layers.set(2)); // display in right eye only
+    this.scene.add(this.rightEyeMesh);
 
 
     // "curious human" image
@@ -313,17 +1539,155 @@ class StereoImg extends HTMLElement {
   }
 
   async parseImageAndInitialize3DScene() {
-    this.style.opacity = '0';
-    await this.parse();
+    const parseId = ++this.parseId;
+    // another source was set, or the element was removed, while parsing
+    const superseded = () => parseId !== this.parseId;
+    const source = this.source;
+    this.stereoData?.video?.pause();
+    if (source) {
+      this.dispatchEvent(new CustomEvent('loadstart', { detail: { source } }));
+      this.showOverlay('loading');
+    }
+
+    let preview = false;
+    let stereoData;
+    try {
+      stereoData = await this.parse({
+        onProgress: ({ loaded, total }) => {
+          if (!superseded()) {
+            this.showOverlay('loading', { loaded, total });
+            this.dispatchEvent(new CustomEvent('progress', { detail: { source, loaded, total } }));
+          }
+        },
+        onPreview: (previewData) => {
+          if (!superseded()) {
+            // mono, until the right eye is decoded
+            preview = true;
+            this.setStereoData(previewData, true);
+            this.initialize3DSceneAndControls();
+            this.showOverlay(null);
+          }
+        },
+      });
+      if (stereoData.error) {
+        throw new Error(stereoData.error);
+      }
+    } catch (error) {
+      if (!superseded()) {
+        this.showError(error, source);
+        throw error;
+      }
+      return;
+    }
+    if (superseded()) {
+      return;
+    }
+
+    this.needsParse = false;
+    this.setStereoData(stereoData, true);
+    // keep looking where the preview was looked at
+    await this.initialize3DSceneAndControls({ keepCamera: preview });
+    this.showOverlay(null);
+    if (source) {
+      this.dispatchEvent(new CustomEvent('load', { detail: { source, video: !!stereoData.video, stereo: stereoData.stereo !== false, rectification: stereoData.rectification } }));
+    }
+  }
+
+  /**
+   * Show the loading or error overlay, above the picture
+   * @Param {string|null} state - 'loading', 'error', or null to hide the overlay
+   * @Param {Object} (details) - loaded and total bytes when loading, message on error
+   */
+  showOverlay(state, details) {
+    const overlay = this.shadowRoot.querySelector('.overlay');
+    overlay.hidden = !state;
+    if (!state) {
+      return;
+    }
+    // style with ::part(overlay), ::part(loading) or ::part(error)
+    overlay.setAttribute('part', `overlay ${state}`);
+    const progress = overlay.querySelector('progress');
+    progress.hidden = state !== 'loading';
+    if (details?.total) {
+      progress.max = details.total;
+      progress.value = details.loaded;
+    } else {
+      // indeterminate
+      progress.removeAttribute('value');
+    }
+    overlay.querySelector('.message').textContent = state === 'error' ? details.message : 'Loading…';
+  }
+
+  /**
+   * Show a picture that could not be displayed, and dispatch an error event
+   * @Param {Error} error
+   * @Param {string|Blob|File|ArrayBuffer} source - the picture that could not be displayed
+   */
+  showError(error, source) {
+    console.error('<stereo-img> could not display', source, error);
+    this.showOverlay('error', { message: error.message });
+    this.dispatchEvent(new CustomEvent('error', { detail: { source, message: error.message, error } }));
+  }
+
+  /**
+   * Replace the displayed stereo data, and stop the video it replaces.
+   * Videos parsed by this element are released, those given to showStereoData() belong to the caller.
+   * @Param {boolean} (parsed) - stereoData was parsed by this element
+   */
+  setStereoData(stereoData, parsed) {
+    const video = this.stereoData?.video;
+    if (video && video !== stereoData.video) {
+      if (this.stereoDataParsed) {
+        releaseVideo(video);
+      } else {
+        video.pause();
+      }
+    }
+    this.stereoData = stereoData;
+    this.stereoDataParsed = !!parsed;
+  }
+
+  /**
+   * Display stereo data that has already been parsed, for example by parseStereoSource() ahead of time.
+   * Attributes describing the source (src, type...) are not updated.
+   * @Param {Object} stereoData - as returned by the parsers
+   */
+  async showStereoData(stereoData) {
+    // ignore sources being parsed
+    this.parseId++;
+    this.needsParse = false;
+    this.setStereoData(stereoData);
+    this.showOverlay(null);
+    // otherwise displayed once connected
+    if (this.renderer) {
+      await this.initialize3DSceneAndControls();
+    }
+  }
+
+  /**
+   * @Param {Object} (options) - keepCamera: do not reset where the camera looks at
+   */
+  async initialize3DSceneAndControls(options) {
+    if (this.stereoData.rectification) {
+      this.dispatchEvent(new CustomEvent('rectified', { detail: this.stereoData.rectification }));
+    }
+    this.wigglePivotDisparity = null;
+    this.autoConvergenceDisparity = undefined;
     await this.initialize3DScene();
-    this.camera?.position.set(0, 0, 0.1);
+    this.updateEyeOffsets();
+    if (options?.keepCamera) {
+      this.updateViewLimits();
+    } else {
+      this.resetView();
+    }
 
     if (this.camera) {
       this.addReticle();
       this.addPrevNextButtons();
+      this.addVideoButtons();
+      this.addHotspots();
     }
-
-    this.style.opacity = '1';
+    this.updateVideoControls();
   }
 
   addReticle() {
@@ -375,12 +1739,13 @@ class StereoImg extends HTMLElement {
       buttonGroup.add(this.nextButtonOuter);
     }
 
-    this.buttonInnerMaterial = new THREE.MeshBasicMaterial({ color: 0xa65700, side: THREE.DoubleSide, depthWrite: false });
+    this.buttonInnerMaterial = new THREE.MeshBasicMaterial({ color: BUTTON_COLOR, side: THREE.DoubleSide, depthWrite: false });
     const buttonInner = new THREE.Mesh(
       new THREE.CircleGeometry(1, 128),
       this.buttonInnerMaterial
     );
     buttonGroup.add(buttonInner);
+    buttonGroup.userData.innerMaterial = this.buttonInnerMaterial;
 
     svgLoader.load(
       // resource URL
@@ -430,72 +1795,653 @@ class StereoImg extends HTMLElement {
     this.scene.add(this.prevNextButtons[1]);
   }
 
-  async init() {
-    this.attachShadow({ mode: 'open' });
-    this.shadowRoot.innerHTML = `
-      <style>
-        :host {
-          display: block;
-          contain: content;
-        }
-      </style>
-      `;
+  /**
+   * In-VR button, selected by looking at it
+   * @Param {string} name
+   * @Param {Array<THREE.Shape>} shapes - icon, in a 2 x 2 square centered on the origin
+   * @Param {Function} onSelect - called when the button is selected
+   */
+  createVideoButton(name, shapes, onSelect) {
+    const buttonGroup = new THREE.Group();
+    buttonGroup.name = name;
+    buttonGroup.userData.onSelect = onSelect;
 
-    // TODO: should we also read width and height attributes and resize element accordingly?
-    if (this.clientHeight === 0) {
-      const aspectRatio = 4 / 3;
-      this.style.height = this.clientWidth / aspectRatio + "px";
-    }
+    const buttonOuter = new THREE.Mesh(
+      new THREE.RingGeometry(1.0, 1.1, 128),
+      new THREE.MeshBasicMaterial({ color: 0xaaaaaa, side: THREE.DoubleSide, depthWrite: false })
+    );
+    buttonGroup.add(buttonOuter);
+
+    const buttonInner = new THREE.Mesh(
+      new THREE.CircleGeometry(1, 128),
+      new THREE.MeshBasicMaterial({ color: BUTTON_COLOR, side: THREE.DoubleSide, depthWrite: false })
+    );
+    buttonGroup.add(buttonInner);
+    buttonGroup.userData.innerMaterial = buttonInner.material;
+
+    const icon = new THREE.Mesh(
+      new THREE.ShapeGeometry(shapes),
+      new THREE.MeshBasicMaterial({ color: 0xaaaaaa, side: THREE.DoubleSide, depthWrite: false })
+    );
+    icon.scale.setScalar(0.5);
+    icon.position.z = 0.01;
+    buttonGroup.add(icon);
+
+    return buttonGroup;
+  }
 
-    await this.parseImageAndInitialize3DScene();
+  addVideoButtons() {
+    this.videoButtonsAbortController?.abort();
+    this.videoButtons = [];
 
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true
+    const video = this.stereoData.video;
+    if (!video) {
+      return;
+    }
+
+    const triangle = (x, direction) => new THREE.Shape([
+      new THREE.Vector2(x - 0.5 * direction, -0.7),
+      new THREE.Vector2(x + 0.7 * direction, 0),
+      new THREE.Vector2(x - 0.5 * direction, 0.7),
+    ]);
+    const bar = (x) => new THREE.Shape([
+      new THREE.Vector2(x - 0.2, -0.7),
+      new THREE.Vector2(x + 0.2, -0.7),
+      new THREE.Vector2(x + 0.2, 0.7),
+      new THREE.Vector2(x - 0.2, 0.7),
+    ]);
+
+    const seekBackward = this.createVideoButton('seek-backward', [triangle(-0.35, -1), triangle(0.45, -1)], () => {
+      video.currentTime = Math.max(0, video.currentTime - VIDEO_SEEK_SECONDS);
+    });
+    const playPause = this.createVideoButton('play-pause', [triangle(0, 1)], () => {
+      video.paused ? video.play() : video.pause();
     });
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.xr.enabled = true;
-    this.renderer.setSize(this.clientWidth, this.clientHeight);
-    this.shadowRoot.appendChild(this.renderer.domElement);
+    const seekForward = this.createVideoButton('seek-forward', [triangle(-0.45, 1), triangle(0.35, 1)], () => {
+      video.currentTime = Math.min(video.duration, video.currentTime + VIDEO_SEEK_SECONDS);
+    });
+
+    // update the play / pause icon
+    const playPauseIcon = playPause.children[2];
+    const updatePlayPauseIcon = () => {
+      playPauseIcon.geometry.dispose();
+      playPauseIcon.geometry = new THREE.ShapeGeometry(video.paused ? [triangle(0, 1)] : [bar(-0.35), bar(0.35)]);
+    };
+    this.videoButtonsAbortController = new AbortController();
+    const signal = this.videoButtonsAbortController.signal;
+    video.addEventListener('play', updatePlayPauseIcon, { signal });
+    video.addEventListener('pause', updatePlayPauseIcon, { signal });
+
+    // seek buttons below the prev and next buttons, play / pause in front, below the picture
+    seekBackward.position.set(-9.8, -2.5, 1.0);
+    seekForward.position.set(9.8, -2.5, 1.0);
+    playPause.position.set(0, -5.0, -8.5);
+    for (const button of [seekBackward, playPause, seekForward]) {
+      button.lookAt(this.camera.position);
+      this.scene.add(button);
+      this.videoButtons.push(button);
+    }
+  }
+
+  /**
+   * Marker of a <stereo-hotspot> child, at its yaw, pitch and depth, with its label displayed on hover
+   * @Param {HTMLElement} hotspot
+   */
+  createHotspot(hotspot) {
+    const buttonGroup = new THREE.Group();
+    buttonGroup.name = 'hotspot';
+    buttonGroup.userData.hotspot = hotspot;
+
+    const buttonOuter = new THREE.Mesh(
+      new THREE.RingGeometry(1.0, 1.2, 64),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, depthWrite: false })
+    );
+    buttonGroup.add(buttonOuter);
+
+    const buttonInner = new THREE.Mesh(
+      new THREE.CircleGeometry(1, 64),
+      new THREE.MeshBasicMaterial({ color: BUTTON_COLOR, side: THREE.DoubleSide, depthWrite: false })
+    );
+    buttonGroup.add(buttonInner);
+    buttonGroup.userData.innerMaterial = buttonInner.material;
+
+    const label = hotspot.getAttribute('label') ?? hotspot.textContent.trim();
+    if (label) {
+      const panel = this.createLabelPanel(label);
+      panel.position.set(0, -2.2, 0.01);
+      panel.visible = false;
+      buttonGroup.add(panel);
+      buttonGroup.userData.label = panel;
+    }
+
+    const yaw = THREE.MathUtils.degToRad(Number(hotspot.getAttribute('yaw')) || 0);
+    const pitch = THREE.MathUtils.degToRad(Number(hotspot.getAttribute('pitch')) || 0);
+    // in front of flat and curved screens too
+    const maxDepth = MAX_HOTSPOT_DEPTH / SPHERE_RADIUS * (this.screenSize()?.distance || SPHERE_RADIUS);
+    const depth = Math.min(maxDepth, Number(hotspot.getAttribute('depth')) || DEFAULT_HOTSPOT_DEPTH);
+    buttonGroup.position.setFromSphericalCoords(depth, Math.PI / 2 - pitch, Math.PI - yaw);
+    // same apparent size at any depth
+    buttonGroup.scale.setScalar(depth * HOTSPOT_SIZE);
+    buttonGroup.lookAt(0, 0, 0);
+    return buttonGroup;
+  }
+
+  /** Text on a dark panel, 1 unit high */
+  createLabelPanel(text) {
+    const FONT = '48px lato, sans-serif';
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = FONT;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 48;
+    canvas.height = 80;
+    // resizing the canvas resets its context
+    ctx.font = FONT;
+    ctx.fillStyle = 'rgba(13, 5, 0, 0.75)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    return new THREE.Mesh(
+      new THREE.PlaneGeometry(canvas.width / canvas.height, 1),
+      new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, side: THREE.DoubleSide, depthWrite: false })
+    );
+  }
+
+  /** (Re)create the markers of the <stereo-hotspot> children */
+  addHotspots() {
+    for (const button of this.hotspotButtons || []) {
+      this.scene.remove(button);
+      button.traverse((object) => {
+        object.geometry?.dispose();
+        object.material?.map?.dispose();
+        object.material?.dispose();
+      });
+      if (button === this.timerButton) {
+        clearTimeout(this.prevNextTimer);
+        this.prevNextTimer = null;
+        this.timerButton = null;
+      }
+    }
+    this.pointerHotspot = null;
+    this.hotspotButtons = Array.from(this.querySelectorAll(':scope > stereo-hotspot')).map((hotspot) => this.createHotspot(hotspot));
+    for (const button of this.hotspotButtons) {
+      this.scene.add(button);
+    }
+  }
+
+  /**
+   * Add a <stereo-hotspot> child, remove it to remove the hotspot
+   * @Param {Object} options - { yaw, pitch, depth, label }, yaw and pitch in degrees from the center of the picture, depth in meters
+   * @Returns {HTMLElement} the <stereo-hotspot> element, dispatching hotspotselect events
+   */
+  addHotspot(options) {
+    const hotspot = document.createElement('stereo-hotspot');
+    for (const name of ['yaw', 'pitch', 'depth', 'label']) {
+      if (options[name] !== undefined && options[name] !== null) {
+        hotspot.setAttribute(name, options[name]);
+      }
+    }
+    this.appendChild(hotspot);
+    return hotspot;
+  }
+
+  /** hotspot under the mouse or finger, null if none */
+  hotspotAtPointer(event) {
+    if (!this.hotspotButtons?.length) {
+      return null;
+    }
+    const rect = this.canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      (event.clientX - rect.left) / rect.width * 2 - 1,
+      -(event.clientY - rect.top) / rect.height * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const button = this.intersectButton(this.raycaster)?.button;
+    return button?.userData.hotspot ? button : null;
+  }
+
+  /** 2D play / pause and seek controls, shown for videos */
+  updateVideoControls() {
+    this.videoControlsAbortController?.abort();
+
+    const controls = this.shadowRoot.querySelector('.video-controls');
+    const video = this.stereoData?.video;
+    if (!video) {
+      controls.hidden = true;
+      return;
+    }
+    controls.hidden = false;
+
+    const playPause = controls.querySelector('.play-pause');
+    const seek = controls.querySelector('.seek');
+    const time = controls.querySelector('.time');
+
+    const formatTime = (seconds) => {
+      const minutes = Math.floor(seconds / 60);
+      return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    };
+    const update = () => {
+      playPause.textContent = video.paused ? 'Play' : 'Pause';
+      seek.max = video.duration || 0;
+      seek.value = video.currentTime;
+      time.textContent = `${formatTime(video.currentTime)} / ${formatTime(video.duration || 0)}`;
+    };
+    update();
+
+    this.videoControlsAbortController = new AbortController();
+    const signal = this.videoControlsAbortController.signal;
+    playPause.addEventListener('click', () => {
+      video.paused ? video.play() : video.pause();
+    }, { signal });
+    seek.addEventListener('input', () => {
+      video.currentTime = Number(seek.value);
+    }, { signal });
+    for (const event of ['play', 'pause', 'timeupdate', 'durationchange']) {
+      video.addEventListener(event, update, { signal });
+    }
+    // pixel convergence needs the video size
+    video.addEventListener('loadedmetadata', () => this.updateEyeOffsets(), { signal });
+  }
+
+  /** Create the renderer, camera and controls, once connected to the document */
+  initRenderer() {
+    if (this.sharedRenderer) {
+      this.shared = acquireSharedRenderer(this);
+      this.renderer = this.shared.renderer;
+      // the shared renderer copies frames to this canvas
+      this.canvas = document.createElement('canvas');
+      this.canvasContext = this.canvas.getContext('2d');
+    } else {
+      this.renderer = new THREE.WebGLRenderer({
+        antialias: true
+      });
+      this.renderer.setPixelRatio(window.devicePixelRatio);
+      this.renderer.xr.enabled = true;
+      this.renderer.setSize(this.clientWidth, this.clientHeight);
+      // keep rendering offscreen elements while they are displayed in VR
+      this.renderer.xr.addEventListener('sessionend', () => this.updateAnimationLoop());
+      this.canvas = this.renderer.domElement;
+    }
+    this.shadowRoot.appendChild(this.canvas);
+
+    this.stereoDisplay = new StereoDisplay(this.renderer);
+    this.stereoDisplay.setMode(this.display);
+    this.stereoDisplay.wiggleRate = Number(this.wiggleRate);
+    this.stereoDisplay.wiggleFade = this.wiggleFade;
 
     // TODO: Should we use component size instead?
-    this.camera = new THREE.PerspectiveCamera(70, this.clientWidth / this.clientHeight, 1, 2000);
+    this.camera = new THREE.PerspectiveCamera(DEFAULT_FOV, this.clientWidth / this.clientHeight, 1, 2000);
     this.camera.layers.enable(1);
 
     this.raycaster = new THREE.Raycaster();
-    this.addReticle();
-    this.addPrevNextButtons();
+    this.pivotRaycaster = new THREE.Raycaster();
+    this.pivotRaycaster.layers.set(1); // left eye
 
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls = new OrbitControls(this.camera, this.canvas);
     this.controls.enableDamping = true;
     this.controls.dampingFactor = 0.125;
-    this.controls.rotateSpeed = -0.25;
+    this.controls.rotateSpeed = DEFAULT_ROTATE_SPEED;
+    // zoom changes the field of view instead of moving the camera
     this.controls.enableZoom = false;
+    this.controls.enablePan = false;
     this.controls.addEventListener("change", () => {
-      if (this.renderer) {
-        this.renderer.render(this.scene, this.camera);
+      // the shared renderer only renders in its own loop
+      if (this.scene && !this.shared) {
+        this.render();
       }
       this.prevNextTest();
+      this.dispatchEvent(new CustomEvent('viewchange', { detail: this.view }));
     });
+    this.controls.enabled = !this.convergenceDrag;
     this.camera.position.set(0, 0, 0.1);
 
-    this.shadowRoot.appendChild(VRButton.createButton(this.renderer));
+    // In convergence drag mode, drag horizontally to adjust convergence live
+    let convergenceDrag;
+    this.canvas.addEventListener('pointerdown', (event) => {
+      if (this.convergenceDrag && this.stereoData) {
+        convergenceDrag = { x: event.clientX, disparity: this.convergenceDisparity() };
+        this.canvas.setPointerCapture(event.pointerId);
+      }
+    });
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (convergenceDrag) {
+        // dragging right pushes the picture away
+        this.dragDisparity = convergenceDrag.disparity + (event.clientX - convergenceDrag.x) * this.eyePixelsPerScreenPixel();
+        this.updateEyeOffsets();
+      }
+    });
+    const endConvergenceDrag = () => {
+      if (!convergenceDrag) {
+        return;
+      }
+      convergenceDrag = null;
+      const disparity = Math.round(this.dragDisparity ?? this.convergenceDisparity());
+      this.dragDisparity = null;
+      this.wigglePivotDisparity = null;
+      this.convergence = `${disparity}px`;
+      this.dispatchEvent(new CustomEvent('convergencechange', { detail: { convergence: this.convergence } }));
+    };
+    this.canvas.addEventListener('pointerup', endConvergenceDrag);
+    this.canvas.addEventListener('pointercancel', endConvergenceDrag);
+
+    // In wiggle mode, click (without dragging) to set the pivot point
+    let pointerDown;
+    this.canvas.addEventListener('pointerdown', (event) => {
+      pointerDown = { x: event.clientX, y: event.clientY };
+    });
+    this.canvas.addEventListener('click', (event) => {
+      const CLICK_MAX_DISTANCE = 5;
+      if (!(pointerDown && Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) < CLICK_MAX_DISTANCE)) {
+        return;
+      }
+      const hotspot = this.hotspotAtPointer(event);
+      if (hotspot) {
+        this.activateButton(hotspot);
+      } else if (this.display === 'wiggle' && !this.convergenceDrag) {
+        this.setWigglePivotFromPointer(event);
+      }
+    });
+
+    // hotspots show their label on hover
+    this.canvas.addEventListener('pointermove', (event) => {
+      this.pointerHotspot = event.pointerType === 'mouse' ? this.hotspotAtPointer(event) : null;
+      this.canvas.style.cursor = this.pointerHotspot ? 'pointer' : '';
+    });
+    this.canvas.addEventListener('pointerleave', () => {
+      this.pointerHotspot = null;
+    });
+
+    // Zoom with the wheel, or by pinching with two fingers
+    this.canvas.addEventListener('wheel', (event) => {
+      // let the page scroll once the zoom limit is reached
+      if (this.zoom(Math.exp(event.deltaY * WHEEL_ZOOM_SPEED))) {
+        event.preventDefault();
+      }
+    }, { passive: false });
+    const touches = new Map();
+    let pinchDistance = null;
+    this.canvas.addEventListener('pointerdown', (event) => {
+      if (event.pointerType === 'touch') {
+        touches.set(event.pointerId, event);
+        pinchDistance = null;
+      }
+    });
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (!touches.has(event.pointerId)) {
+        return;
+      }
+      touches.set(event.pointerId, event);
+      if (touches.size === 2) {
+        const [a, b] = touches.values();
+        const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+        if (pinchDistance) {
+          this.zoom(pinchDistance / distance);
+        }
+        pinchDistance = distance;
+      }
+    });
+    const endTouch = (event) => {
+      touches.delete(event.pointerId);
+      pinchDistance = null;
+    };
+    this.canvas.addEventListener('pointerup', endTouch);
+    this.canvas.addEventListener('pointercancel', endTouch);
+
+    this.vrButton = VRButton.createButton(this.renderer);
+    if (this.shared) {
+      // the shared renderer displays this element in VR
+      this.vrButton.addEventListener('click', () => {
+        this.shared.xrElement = this;
+      });
+    }
+    this.shadowRoot.appendChild(this.vrButton);
 
-    this.animate();
+    this.initXRControllers();
 
     // Listen for component resize
-    const resizeObserver = new ResizeObserver(() => {
-      this.renderer.setSize(this.clientWidth, this.clientHeight);
+    this.resizeObserver = new ResizeObserver(() => {
+      if (this.shared) {
+        this.canvas.width = Math.round(this.clientWidth * window.devicePixelRatio);
+        this.canvas.height = Math.round(this.clientHeight * window.devicePixelRatio);
+        this.canvas.style.width = `${this.clientWidth}px`;
+        this.canvas.style.height = `${this.clientHeight}px`;
+      } else {
+        this.renderer.setSize(this.clientWidth, this.clientHeight);
+      }
+      this.stereoDisplay.setSize(this.canvas.width, this.canvas.height);
       this.camera.aspect = this.clientWidth / this.clientHeight;
       this.camera.updateProjectionMatrix();
+      // limits depend on the horizontal field of view
+      this.updateViewLimits();
+      this.view = {};
     });
+    this.resizeObserver.observe(this);
+
+    this.updateGyro();
+
+    this.updateAnimationLoop();
+  }
+
+  /**
+   * Free the WebGL context and all GPU resources, the element is initialized again if it is added back to the document.
+   * Called when the element is removed from the document.
+   */
+  dispose() {
+    if (!this.renderer) {
+      return;
+    }
+    // ignore sources being parsed
+    this.parseId++;
+    this.resizeObserver.disconnect();
+    clearTimeout(this.prevNextTimer);
+    this.prevNextTimer = null;
+    this.videoButtonsAbortController?.abort();
+    this.videoControlsAbortController?.abort();
+    this.stereoData?.video?.pause();
+
+    this.disposeScene();
+    this.stereoDisplay.dispose();
+    this.controls.dispose();
+    for (const controller of this.xrControllers) {
+      controller.removeEventListener('select', controller.userData.onSelect.get(this));
+      controller.userData.onSelect.delete(this);
+    }
+    this.xrControllers = null;
+    if (this.shared) {
+      this.shared.release(this);
+      this.shared = null;
+    } else {
+      this.renderer.setAnimationLoop(null);
+      this.renderer.xr.getSession()?.end();
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+    }
+    this.canvas.remove();
+    this.vrButton.remove();
+
+    this.renderer = null;
+    this.canvas = null;
+    // stops following the device orientation
+    this.updateGyro();
+    this.stereoDisplay = null;
+    this.controls = null;
+    this.camera = null;
+    this.prevNextButtons = null;
+    this.videoButtons = null;
+  }
+
+  /** Create the renderer and display the picture */
+  initialize() {
+    this.initRenderer();
+    // the picture displayed before the element was removed does not need to be parsed again
+    const displayed = this.stereoData && !this.needsParse ? this.initialize3DSceneAndControls() : this.scheduleParse();
+    displayed.then(this.resolveReady, this.rejectReady);
+    if (this.deferredDisplay) {
+      displayed.then(this.deferredDisplay.resolve, this.deferredDisplay.reject);
+      this.deferredDisplay = null;
+    }
+  }
+
+  /** Called when the element gets near the viewport or away from it */
+  onNearViewportChange(nearViewport) {
+    this.nearViewport = nearViewport;
+    if (nearViewport && this.isConnected && !this.renderer) {
+      // lazy loading
+      this.initialize();
+    }
+    this.updateAnimationLoop();
+  }
+
+  connectedCallback() {
+    observeNearViewport(this);
+    if (this.renderer) {
+      // moved in the document, it was not disposed
+      return;
+    }
+
+    // TODO: should we also read width and height attributes and resize element accordingly?
+    if (this.clientHeight === 0) {
+      const aspectRatio = 4 / 3;
+      this.style.height = this.clientWidth / aspectRatio + "px";
+    }
 
-    resizeObserver.observe(this);
+    if (this.loading !== 'lazy') {
+      this.initialize();
+    }
   }
 
+  disconnectedCallback() {
+    // wait until the end of the task: the element may only be moved in the document
+    queueMicrotask(() => {
+      if (!this.isConnected) {
+        nearViewportObserver.unobserve(this);
+        this.dispose();
+      }
+    });
+  }
 
   constructor() {
     super();
-    this.init();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          contain: content;
+          position: relative;
+        }
+        .video-controls {
+          position: absolute;
+          left: 12px;
+          right: 12px;
+          top: 12px;
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          font-family: lato, sans-serif;
+          color: #fff;
+        }
+        .video-controls[hidden] {
+          display: none;
+        }
+        .video-controls button {
+          padding: 6px 12px;
+          border: 1px solid rgba(255, 255, 255, 0.6);
+          border-radius: 6px;
+          background: #d97706;
+          color: #fff;
+          font-weight: 700;
+          cursor: pointer;
+        }
+        .video-controls .seek {
+          flex: 1;
+        }
+        .overlay {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          align-items: center;
+          justify-content: center;
+          padding: 12px;
+          background: #101010;
+          font-family: lato, sans-serif;
+          color: #fff;
+          text-align: center;
+        }
+        .overlay[hidden], .overlay progress[hidden] {
+          display: none;
+        }
+        .gyro-permission {
+          position: absolute;
+          right: 12px;
+          bottom: 12px;
+          padding: 12px 6px;
+          border: 1px solid rgba(255, 255, 255, 0.6);
+          border-radius: 6px;
+          background: #d97706;
+          color: #fff;
+          font-size: 18px;
+          font-weight: 700;
+          font-family: lato, sans-serif;
+          cursor: pointer;
+        }
+        .gyro-permission[hidden] {
+          display: none;
+        }
+      </style>
+      <button class="gyro-permission" part="gyro-button" hidden>Look around by moving</button>
+      <div class="overlay" part="overlay" hidden>
+        <progress></progress>
+        <span class="message"></span>
+      </div>
+      <div class="video-controls" part="video-controls" hidden>
+        <button class="play-pause">Play</button>
+        <input class="seek" type="range" min="0" max="0" step="any" value="0" aria-label="Seek">
+        <span class="time"></span>
+      </div>
+      `;
+
+    // resolves once the renderer and the first picture are ready, rejects if the first picture cannot be parsed
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // errors are already displayed and dispatched
+    this.ready.catch(() => {});
+    // see deferDisplay()
+    this.deferredDisplay = null;
+    this.parseId = 0;
+    this.needsParse = true;
+    // until the first intersection is observed
+    this.nearViewport = true;
+
+    // <stereo-hotspot> children are added, removed or changed
+    new MutationObserver((mutations) => {
+      if (this.scene && mutations.some((mutation) => mutation.target !== this || mutation.type === 'childList')) {
+        this.addHotspots();
+      }
+    }).observe(this, { childList: true, subtree: true, attributes: true, characterData: true });
+
+    // Drop a file on the element to display it
+    this.addEventListener('dragover', (event) => {
+      if (this.droppable) {
+        event.preventDefault();
+      }
+    });
+    this.addEventListener('drop', (event) => {
+      const file = event.dataTransfer?.files[0];
+      if (this.droppable && file) {
+        event.preventDefault();
+        event.stopPropagation();
+        // the type of the previous picture does not apply to any dropped file, detect it
+        this.type = null;
+        this.load(file);
+      }
+    });
   }
 
 }
@@ -504,3 +2450,5 @@ if (window.customElements.get('stereo-img') === undefined) {
   window.customElements.define('stereo-img', StereoImg);
 }
 
+export { StereoImg, parseStereoSource };
+
@@ -0,0 +1,330 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  angleOfViewFocalLengthIn35mmFormat,
+  angleOfView,
+  gpanoAngleOfView,
+  gpanoInitialView,
+  cropImageData,
+  readMetadata,
+  splitStereo,
+  splitAnaglyph,
+  depthMapInfo,
+  synthesizeStereo,
+  assembleVR,
+  assemblePhotosphere,
+  splitDualFisheye,
+  fisheyePosition,
+  splitCubemap,
+  readMP4Metadata,
+  videoAngleOfView,
+} from '../parsers/core/core.js';
+import { loadFixture, pixel } from './fixtures.js';
+
+test('angle of view of a 35mm equivalent focal length', () => {
+  const square = angleOfViewFocalLengthIn35mmFormat(27, 1000, 1000);
+  assert.ok(Math.abs(square.diagonalAngle - 2 * Math.atan(43.3 / 54)) < 1e-9);
+  assert.ok(Math.abs(square.horizontalAngle - square.verticalAngle) < 1e-9);
+
+  const landscape = angleOfViewFocalLengthIn35mmFormat(27, 4000, 3000);
+  assert.ok(landscape.horizontalAngle > landscape.verticalAngle);
+  assert.ok(Math.abs(Math.hypot(landscape.horizontalAngle, landscape.verticalAngle) - landscape.diagonalAngle) < 1e-9);
+});
+
+test('angle of view from hints, metadata and file names', () => {
+  assert.deepEqual(angleOfView(1000, 1000, { angle: '180' }), { phiLength: Math.PI, thetaStart: 0, thetaLength: Math.PI });
+  assert.deepEqual(angleOfView(1000, 500, { angle: 360 }), { phiLength: 2 * Math.PI, thetaStart: 0, thetaLength: Math.PI });
+
+  const focal = angleOfView(4000, 3000, { exif: { FocalLengthIn35mmFormat: 50 } });
+  assert.equal(focal.phiLength, angleOfViewFocalLengthIn35mmFormat(50, 4000, 3000).horizontalAngle);
+  assert.equal(focal.thetaStart, Math.PI / 2 - focal.thetaLength / 2);
+
+  const gopro = angleOfView(4000, 3000, { name: 'https://example.com/GOPR0042.jpg' });
+  assert.ok(Math.abs(gopro.phiLength - 2.1397737) < 1e-9);
+});
+
+test('angle of view of VR180 GPano metadata', () => {
+  const angle = gpanoAngleOfView({
+    FullPanoWidthPixels: 7680,
+    FullPanoHeightPixels: 3840,
+    CroppedAreaImageWidthPixels: 3840,
+    CroppedAreaImageHeightPixels: 3840,
+    CroppedAreaTopPixels: 0,
+    PosePitchDegrees: 10,
+  });
+  assert.equal(angle.phiLength, Math.PI);
+  assert.equal(angle.thetaLength, Math.PI);
+  assert.equal(angle.thetaStart, 0);
+  assert.ok(Math.abs(angle.pitch - Math.PI / 18) < 1e-9);
+});
+
+test('initial view of GPano metadata is relative to the center of the picture', () => {
+  assert.deepEqual(gpanoInitialView({}), {});
+  assert.deepEqual(gpanoInitialView({ InitialViewHeadingDegrees: 90, PoseHeadingDegrees: 350, InitialViewPitchDegrees: -10 }), { yaw: 100, pitch: -10 });
+
+  // right half of the full panorama, its center is 90° right of the center of the full panorama
+  const cropped = gpanoInitialView({
+    FullPanoWidthPixels: 8000,
+    CroppedAreaLeftPixels: 4000,
+    CroppedAreaImageWidthPixels: 4000,
+    PoseHeadingDegrees: 0,
+    InitialViewHeadingDegrees: 45,
+    InitialHorizontalFOVDegrees: 75,
+  });
+  assert.deepEqual(cropped, { yaw: -45, horizontalFov: 75 });
+});
+
+test('VR picture without right eye is a mono panorama', () => {
+  const image = { data: new Uint8ClampedArray(2000 * 1000 * 4), width: 2000, height: 1000 };
+  const gpano = { FullPanoWidthPixels: 2000, FullPanoHeightPixels: 1000, CroppedAreaImageWidthPixels: 2000, CroppedAreaImageHeightPixels: 1000 };
+  const stereoData = assembleVR(image, null, { GPano: gpano });
+  assert.equal(stereoData.error, undefined);
+  assert.equal(stereoData.stereo, false);
+  assert.equal(stereoData.rightEye, stereoData.leftEye);
+  assert.equal(stereoData.phiLength, 2 * Math.PI);
+
+  // full sphere without metadata, unless told otherwise
+  assert.equal(assemblePhotosphere(image, null).phiLength, 2 * Math.PI);
+  assert.equal(assemblePhotosphere(image, null, { angle: '180' }).phiLength, Math.PI);
+});
+
+test('crop outside of the image is transparent', () => {
+  const image = { data: new Uint8ClampedArray([1, 2, 3, 4, 5, 6, 7, 8]), width: 2, height: 1 };
+  const cropped = cropImageData(image, 1, 0, 2, 2);
+  assert.deepEqual(Array.from(cropped.data), [5, 6, 7, 8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+test('split left-right GoPro picture', async () => {
+  const { buffer, image } = loadFixture('GOPR0.left-right.jpg');
+  const stereoData = splitStereo(image, { metadata: await readMetadata(buffer), name: 'GOPR0.left-right.jpg' });
+
+  assert.equal(stereoData.leftEye.width, image.width / 2);
+  assert.equal(stereoData.leftEye.height, image.height);
+  assert.deepEqual(pixel(stereoData.leftEye, 100, 200), pixel(image, 100, 200));
+  assert.deepEqual(pixel(stereoData.rightEye, 100, 200), pixel(image, image.width / 2 + 100, 200));
+  assert.ok(Math.abs(stereoData.phiLength - 2.1397737) < 1e-9);
+});
+
+test('split right-left picture', () => {
+  const { image } = loadFixture('stereograph.left-right.jpg');
+  const half = Math.round(image.width / 2);
+  const stereoData = splitStereo(image, { type: 'right-left' });
+
+  assert.deepEqual(pixel(stereoData.leftEye, 10, 10), pixel(image, half + 10, 10));
+  assert.deepEqual(pixel(stereoData.rightEye, 10, 10), pixel(image, 10, 10));
+});
+
+test('split top-bottom 360 picture', () => {
+  const { image } = loadFixture('walrus-360.top-bottom.jpg');
+  const stereoData = splitStereo(image, { type: 'top-bottom', angle: '360' });
+
+  assert.equal(stereoData.leftEye.width, image.width);
+  assert.equal(stereoData.leftEye.height, image.height / 2);
+  assert.deepEqual(pixel(stereoData.rightEye, 50, 60), pixel(image, 50, image.height / 2 + 60));
+  assert.equal(stereoData.phiLength, 2 * Math.PI);
+  assert.equal(stereoData.thetaStart, 0);
+});
+
+test('unknown stereo type', () => {
+  const { image } = loadFixture('stereograph.left-right.jpg');
+  assert.throws(() => splitStereo(image, { type: 'diagonal' }), /Unknown stereo type/);
+});
+
+test('split gray anaglyph', () => {
+  const { image } = loadFixture('persepolis.anaglyph.jpg');
+  const stereoData = splitAnaglyph(image, { mode: 'gray' });
+
+  const [r, g, b, a] = pixel(image, 300, 300);
+  assert.deepEqual(pixel(stereoData.leftEye, 300, 300), [r, r, r, a]);
+  const [cyan] = pixel(stereoData.rightEye, 300, 300);
+  assert.ok(Math.abs(cyan - (g + b) / 2) <= 0.5);
+  assert.deepEqual(pixel(stereoData.rightEye, 300, 300), [cyan, cyan, cyan, a]);
+});
+
+test('split color anaglyph keeps the channels seen by each eye', () => {
+  const { image } = loadFixture('wikipedia.anaglyph.jpg');
+  const stereoData = splitAnaglyph(image);
+
+  assert.equal(stereoData.leftEye.width, image.width);
+  for (const [x, y] of [[10, 10], [400, 300], [790, 620]]) {
+    const [r, g, b] = pixel(image, x, y);
+    assert.equal(pixel(stereoData.leftEye, x, y)[0], r);
+    assert.deepEqual(pixel(stereoData.rightEye, x, y).slice(1, 3), [g, b]);
+  }
+});
+
+test('angle of view of anaglyphs', () => {
+  const { image } = loadFixture('wikipedia.anaglyph.jpg');
+  const flat = splitAnaglyph(image, { mode: 'gray' });
+  assert.deepEqual(
+    [flat.phiLength, flat.thetaStart, flat.thetaLength],
+    Object.values(angleOfView(image.width, image.height))
+  );
+
+  const sphere = splitAnaglyph(image, { mode: 'gray', angle: '180' });
+  assert.deepEqual([sphere.phiLength, sphere.thetaStart, sphere.thetaLength], [Math.PI, 0, Math.PI]);
+});
+
+test('unknown anaglyph colors', () => {
+  const { image } = loadFixture('wikipedia.anaglyph.jpg');
+  assert.throws(() => splitAnaglyph(image, { colors: 'blue-yellow' }), /Unknown anaglyph colors/);
+});
+
+test('depth map of GDepth XMP and of a Dynamic Depth container', () => {
+  const gdepth = depthMapInfo({ GDepth: { Format: 'RangeLinear', Near: 0.5, Far: 10, Mime: 'image/png', Data: btoa('depth') } });
+  assert.equal(new TextDecoder().decode(gdepth.buffer), 'depth');
+  assert.deepEqual([gdepth.mime, gdepth.format, gdepth.near, gdepth.far], ['image/png', 'RangeLinear', 0.5, 10]);
+
+  const buffer = new TextEncoder().encode('primary' + 'depth' + '..' + 'confidence').buffer;
+  const metadata = {
+    Container: {
+      Directory: [
+        { Item: { Mime: 'image/jpeg', Semantic: 'Primary' } },
+        { Item: { Mime: 'image/jpeg', Semantic: 'Depth', Length: 5, Padding: 2 } },
+        { Item: { Mime: 'image/jpeg', Semantic: 'Confidence', Length: 10 } },
+      ],
+    },
+    Device: { Cameras: [{ Camera: { DepthMap: { Format: 'RangeInverse', Near: 1, Far: 5 } } }] },
+  };
+  const dynamicDepth = depthMapInfo(metadata, buffer);
+  assert.equal(new TextDecoder().decode(dynamicDepth.buffer), 'depth');
+  assert.equal(dynamicDepth.format, 'RangeInverse');
+
+  assert.equal(depthMapInfo({ Container: { Directory: [{ Item: { Semantic: 'Primary' } }, { Item: { Semantic: 'GainMap', Length: 3 } }] } }, buffer), null);
+});
+
+test('synthesized stereo shifts near pixels apart and fills holes with the background', () => {
+  const width = 100;
+  const image = { data: new Uint8ClampedArray(width * 4), width, height: 1 };
+  // depth map at half resolution, near object from x = 40 to 49
+  const depthMap = { data: new Uint8ClampedArray(width / 2 * 4), width: width / 2, height: 1 };
+  for (let x = 0; x < width; x++) {
+    const near = x >= 40 && x < 50;
+    image.data.set(near ? [0, 255, 0, 255] : [255, 0, 0, 255], x * 4);
+    if (x % 2 === 0) {
+      depthMap.data.set(near ? [0, 0, 0, 255] : [255, 255, 255, 255], x / 2 * 4);
+    }
+  }
+
+  // disparity of 30 pixels for the nearest objects
+  const { leftEye, rightEye } = synthesizeStereo(image, depthMap, { depthScale: 10 });
+  const green = [0, 255, 0, 255];
+  const red = [255, 0, 0, 255];
+  assert.deepEqual(pixel(leftEye, 60, 0), green);
+  assert.deepEqual(pixel(leftEye, 45, 0), red);
+  assert.deepEqual(pixel(rightEye, 30, 0), green);
+  assert.deepEqual(pixel(rightEye, 45, 0), red);
+  assert.deepEqual(pixel(leftEye, 10, 0), red);
+
+  const flat = synthesizeStereo(image, depthMap, { depthScale: 0 });
+  assert.deepEqual(Array.from(flat.leftEye.data), Array.from(image.data));
+});
+
+test('dual fisheye eyes are projected from their image circle', () => {
+  const image = { data: new Uint8ClampedArray(400 * 200 * 4), width: 400, height: 200 };
+  const stereoData = splitDualFisheye(image, { lensFov: 180, rightCircle: { x: 110, radius: 95 } });
+  assert.equal(stereoData.leftEye.width, 200);
+  assert.equal(stereoData.phiLength, Math.PI);
+  assert.deepEqual(stereoData.fisheye.left, { x: 100, y: 100, radius: 100 });
+  assert.deepEqual(stereoData.fisheye.right, { x: 110, y: 100, radius: 95 });
+
+  const close = (actual, expected) => assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9, JSON.stringify(actual));
+  const circle = stereoData.fisheye.left;
+  // lens axis, then 90° right and 90° up at the edge of the circle
+  close(fisheyePosition(0.5, 0.5, stereoData, circle), { x: 100, y: 100 });
+  close(fisheyePosition(1, 0.5, stereoData, circle), { x: 200, y: 100 });
+  close(fisheyePosition(0.5, 1, stereoData, circle), { x: 100, y: 0 });
+  // equidistant: 45° is half way
+  close(fisheyePosition(0.25, 0.5, stereoData, circle), { x: 50, y: 100 });
+
+  const narrow = splitDualFisheye(image, { lensFov: 120 });
+  assert.equal(fisheyePosition(0.5, 0, { ...narrow, phiLength: Math.PI, thetaStart: 0, thetaLength: Math.PI }, circle), null);
+});
+
+test('split stereo cubemap strip and grid', () => {
+  const strip = splitCubemap({ data: new Uint8ClampedArray(1200 * 100 * 4), width: 1200, height: 100 });
+  assert.equal(strip.leftEye.width, 600);
+  assert.equal(strip.cubemap.faceSize, 100);
+  assert.deepEqual(strip.cubemap.faces.front, { x: 400, y: 0, width: 100, height: 100 });
+  assert.equal(strip.phiLength, 2 * Math.PI);
+
+  const grid = splitCubemap({ data: new Uint8ClampedArray(300 * 400 * 4), width: 300, height: 400 }, { layout: 'grid', order: 'front back left right up down' });
+  assert.equal(grid.rightEye.height, 200);
+  assert.equal(grid.cubemap.faceSize, 100);
+  assert.deepEqual(grid.cubemap.faces.front, { x: 0, y: 0, width: 100, height: 100 });
+  assert.deepEqual(grid.cubemap.faces.up, { x: 100, y: 100, width: 100, height: 100 });
+
+  assert.throws(() => splitCubemap(grid.leftEye, { order: 'front front left right up down' }), /Cubemap order/);
+  assert.throws(() => splitCubemap(grid.leftEye, { layout: 'cross' }), /Unknown cubemap layout/);
+});
+
+/** MP4 box of this type around the content */
+function mp4Box(type, ...content) {
+  const size = 8 + content.reduce((sum, bytes) => sum + bytes.length, 0);
+  const box = new Uint8Array(size);
+  new DataView(box.buffer).setUint32(0, size);
+  box.set(Array.from(type, (c) => c.charCodeAt(0)), 4);
+  let offset = 8;
+  for (const bytes of content) {
+    box.set(bytes, offset);
+    offset += bytes.length;
+  }
+  return box;
+}
+
+/** moov box of a video track whose sample entry holds st3d and sv3d boxes */
+function sphericalMoov(stereoMode, projection) {
+  const st3d = mp4Box('st3d', new Uint8Array([0, 0, 0, 0, stereoMode]));
+  const avc1 = mp4Box('avc1', new Uint8Array(78), st3d, mp4Box('sv3d', mp4Box('proj', projection)));
+  let box = mp4Box('stsd', new Uint8Array(8), avc1);
+  for (const type of ['stbl', 'minf', 'mdia', 'trak', 'moov']) {
+    box = mp4Box(type, box);
+  }
+  return new DataView(box.buffer);
+}
+
+test('read equirectangular projection of 360 videos', () => {
+  // version and flags, then top, bottom, left and right bounds: the top quarter is cropped
+  const equi = new Uint8Array(20);
+  new DataView(equi.buffer).setUint32(4, 2 ** 30);
+  const metadata = readMP4Metadata(sphericalMoov(1, mp4Box('equi', equi)));
+  assert.equal(metadata.stereoMode, 'top-bottom');
+  assert.equal(metadata.projection, 'equirectangular');
+
+  const angle = videoAngleOfView(1920, 960, metadata);
+  assert.equal(angle.phiLength, 2 * Math.PI);
+  assert.equal(angle.thetaStart, Math.PI / 4);
+  assert.equal(angle.thetaLength, Math.PI * 3 / 4);
+});
+
+test('display VR180 videos with a mesh projection on a half sphere', () => {
+  // version and flags, CRC, encoding, then the (compressed) mesh
+  const mshp = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, ...Array.from('dfl8', (c) => c.charCodeAt(0)), 1, 2, 3]);
+  const metadata = readMP4Metadata(sphericalMoov(2, mp4Box('mshp', mshp)));
+  assert.equal(metadata.stereoMode, 'left-right');
+  assert.equal(metadata.projection, 'mesh');
+
+  const angle = videoAngleOfView(1920, 1920, metadata);
+  assert.equal(angle.phiLength, Math.PI);
+  assert.equal(angle.thetaLength, Math.PI);
+  assert.equal(angle.thetaStart, 0);
+
+  // the angle attribute wins, flat videos without metadata assume a 27mm lens
+  assert.equal(videoAngleOfView(1920, 1920, metadata, { angle: '360' }).phiLength, 2 * Math.PI);
+  assert.ok(videoAngleOfView(1920, 1080, {}).phiLength < Math.PI / 2);
+});
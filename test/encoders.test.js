@@ -0,0 +1,114 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeVRPhoto } from '../encoders/vr-photo-encoder/vr-photo-encoder.js';
+import { encodeMPO } from '../encoders/mpo-encoder/mpo-encoder.js';
+import { readMetadata, vrRightEyeBuffer, assembleVR, gpanoAngleOfView, readMPO, isMPOBuffer, assembleMPO } from '../parsers/core/core.js';
+import { readFixture, decodeJPEG } from './fixtures.js';
+
+const LEFT = 'wikipedia.anaglyph.jpg';
+const RIGHT = 'persepolis.anaglyph.jpg';
+
+test('VR Photo round-trips through the VR parser core', async () => {
+  const left = readFixture(LEFT);
+  const right = readFixture(RIGHT);
+  const leftImage = decodeJPEG(left);
+  const angle = { phiLength: Math.PI, thetaStart: Math.PI / 4, thetaLength: Math.PI / 2, pitch: 0.1 };
+
+  const vrPhoto = encodeVRPhoto(left, right, { width: leftImage.width, height: leftImage.height, ...angle });
+  const metadata = await readMetadata(vrPhoto.buffer);
+
+  assert.deepEqual(new Uint8Array(vrRightEyeBuffer(metadata)), new Uint8Array(right));
+  const parsedAngle = gpanoAngleOfView(metadata.GPano);
+  for (const key of Object.keys(angle)) {
+    assert.ok(Math.abs(parsedAngle[key] - angle[key]) < 0.01, key);
+  }
+
+  // the left eye is untouched
+  assert.deepEqual(decodeJPEG(vrPhoto.buffer).data, leftImage.data);
+
+  // the right eye is cropped to the size of the left eye
+  const stereoData = assembleVR(leftImage, decodeJPEG(vrRightEyeBuffer(metadata)), metadata);
+  assert.equal(stereoData.rightEye.width, leftImage.width);
+  assert.equal(stereoData.rightEye.height, leftImage.height);
+});
+
+test('MPO round-trips through the MPO parser core', () => {
+  const left = readFixture(LEFT);
+  const right = readFixture(RIGHT);
+
+  const mpo = encodeMPO(left, right, { baselineLength: 77, convergenceAngle: -1.5 }).buffer;
+  assert.ok(isMPOBuffer(mpo));
+  assert.ok(!isMPOBuffer(left));
+
+  const eyes = readMPO(mpo);
+  assert.deepEqual(decodeJPEG(eyes.left).data, decodeJPEG(left).data);
+  assert.deepEqual(decodeJPEG(eyes.right).data, decodeJPEG(right).data);
+  assert.equal(eyes.baselineLength, 77);
+  assert.equal(eyes.convergenceAngle, -1.5);
+
+  const stereoData = assembleMPO(decodeJPEG(eyes.left), decodeJPEG(eyes.right), eyes, { angle: '180' });
+  assert.equal(stereoData.phiLength, Math.PI);
+  assert.equal(stereoData.baselineLength, 77);
+});
+
+/** offset of the first MP Entry of the MPF segment of the first image */
+function firstMPEntryOffset(bytes) {
+  const view = new DataView(bytes.buffer);
+  let offset = 2;
+  while (view.getUint16(offset) !== 0xFFE2 || view.getUint32(offset + 4) !== 0x4D504600) {
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  // MP Entry type codes are big-endian, as written by encodeMPO()
+  for (let i = offset + 8; i < offset + 2 + view.getUint16(offset + 2); i++) {
+    if ((view.getUint32(i) & 0xFFFFFF) === 0x020002) {
+      return i;
+    }
+  }
+  throw new Error('No MP Entry found');
+}
+
+test('primary images with a large thumbnail are not MPO', () => {
+  const bytes = new Uint8Array(encodeMPO(readFixture(LEFT), readFixture(RIGHT)).buffer);
+  const view = new DataView(bytes.buffer);
+  const entry = firstMPEntryOffset(bytes);
+  // baseline MP primary image, then large thumbnail (VGA equivalent)
+  view.setUint32(entry, 0x20030000);
+  view.setUint32(entry + 16, 0x010001);
+
+  assert.ok(!isMPOBuffer(bytes.buffer));
+  assert.throws(() => readMPO(bytes.buffer), /No stereo pair/);
+});
+
+test('malformed Multi-Picture Format data is not MPO', () => {
+  const bytes = new Uint8Array(encodeMPO(readFixture(LEFT), readFixture(RIGHT)).buffer);
+
+  // truncated in the middle of the MP Index IFD
+  const truncated = bytes.slice(0, firstMPEntryOffset(bytes) - 20);
+  assert.ok(!isMPOBuffer(truncated.buffer));
+  assert.throws(() => readMPO(truncated.buffer), /No Multi-Picture Format data/);
+
+  // without the NumberOfImages tag
+  const view = new DataView(bytes.buffer);
+  const tag = bytes.findIndex((value, i) => view.getUint16(i) === 0xB001);
+  view.setUint16(tag, 0xB00F);
+  assert.ok(!isMPOBuffer(bytes.buffer));
+});
+
+test('pictures without Multi-Picture Format data are not MPO', () => {
+  assert.throws(() => readMPO(readFixture(LEFT)), /No Multi-Picture Format data/);
+});
@@ -0,0 +1,68 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Pictures of examples/, read and decoded once for all tests.
+ */
+
+import { readFileSync } from 'node:fs';
+import jpeg from 'jpeg-js';
+
+const EXAMPLES = new URL('../examples/', import.meta.url);
+
+const cache = new Map();
+
+/** content of the example picture */
+function readFixture(name) {
+  const file = readFileSync(new URL(name, EXAMPLES));
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+/** decoded RGBA pixels of a JPEG file */
+function decodeJPEG(buffer) {
+  const { data, width, height } = jpeg.decode(new Uint8Array(buffer), { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+  return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height };
+}
+
+/** content and decoded pixels of the example picture */
+function loadFixture(name) {
+  if (!cache.has(name)) {
+    const buffer = readFixture(name);
+    cache.set(name, { buffer, image: decodeJPEG(buffer) });
+  }
+  return cache.get(name);
+}
+
+/** nearest neighbor downscale, no wider than maxWidth */
+function downscale(image, maxWidth) {
+  const scale = Math.min(1, maxWidth / image.width);
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (Math.floor(y / scale) * image.width + Math.floor(x / scale)) * 4;
+      data.set(image.data.subarray(source, source + 4), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+/** RGBA value of a pixel */
+function pixel(image, x, y) {
+  const i = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(i, i + 4));
+}
+
+export { readFixture, decodeJPEG, loadFixture, downscale, pixel };
@@ -0,0 +1,47 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { itemToShow } from '../gallery-items.js';
+
+/** item as read by <stereo-gallery>, the element is only compared */
+const item = (src, attributes) => ({ element: { src }, src, type: null, caption: null, ...attributes });
+
+test('show the first gallery item once items are appended after connection', () => {
+  assert.deepEqual(itemToShow([], undefined, undefined), { index: undefined, changed: false });
+  const items = [item('a.jpg'), item('b.jpg')];
+  assert.deepEqual(itemToShow(items, undefined, undefined), { index: 0, changed: true });
+});
+
+test('show the displayed gallery item again when it changes', () => {
+  const items = [item('a.jpg'), item('b.jpg')];
+  const displayed = { ...items[1] };
+  assert.deepEqual(itemToShow(items, 1, displayed), { index: 1, changed: false });
+
+  items[1].type = 'anaglyph';
+  assert.deepEqual(itemToShow(items, 1, displayed), { index: 1, changed: true });
+});
+
+test('follow the displayed gallery item when others are added or removed', () => {
+  const a = item('a.jpg');
+  const b = item('b.jpg');
+  const c = item('c.jpg');
+  assert.deepEqual(itemToShow([c, a, b], 1, { ...b }), { index: 2, changed: false });
+  // removed: the next item takes its place
+  assert.deepEqual(itemToShow([a, c], 1, { ...b }), { index: 1, changed: true });
+  assert.deepEqual(itemToShow([a], 1, { ...b }), { index: 0, changed: true });
+});
@@ -0,0 +1,58 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectLayoutFromPixels } from '../parsers/layout-detector/layout-detector.js';
+import { loadFixture, downscale } from './fixtures.js';
+
+const EXPECTED_LAYOUTS = {
+  'GOPR0.left-right.jpg': 'left-right',
+  'stereograph.left-right.jpg': 'left-right',
+  'walrus-360.top-bottom.jpg': 'top-bottom',
+  'persepolis.anaglyph.jpg': 'anaglyph',
+  'wikipedia.anaglyph.jpg': 'anaglyph',
+};
+
+for (const [name, type] of Object.entries(EXPECTED_LAYOUTS)) {
+  test(`detect layout of ${name}`, () => {
+    const { image } = loadFixture(name);
+    const layout = detectLayoutFromPixels(downscale(image, 256), image.width / image.height);
+    assert.equal(layout.type, type);
+    assert.ok(layout.confidence > 0);
+  });
+}
+
+test('detect 360 pictures from the 2:1 ratio of eyes', () => {
+  const { image } = loadFixture('walrus-360.top-bottom.jpg');
+  const layout = detectLayoutFromPixels(downscale(image, 256), image.width / image.height);
+  assert.equal(layout.angle, '360');
+});
+
+test('detect red-cyan glasses', () => {
+  const { image } = loadFixture('persepolis.anaglyph.jpg');
+  const layout = detectLayoutFromPixels(downscale(image, 256));
+  assert.equal(layout.anaglyphColors, 'red-cyan');
+});
+
+test('a single eye does not look stereo', () => {
+  const { image } = loadFixture('stereograph.left-right.jpg');
+  const eye = downscale(image, 512);
+  const left = { data: new Uint8ClampedArray(eye.width / 2 * eye.height * 4), width: eye.width / 2, height: eye.height };
+  for (let y = 0; y < eye.height; y++) {
+    left.data.set(eye.data.subarray(y * eye.width * 4, (y * eye.width + left.width) * 4), y * left.width * 4);
+  }
+  assert.equal(detectLayoutFromPixels(left).type, null);
+});
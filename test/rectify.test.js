@@ -0,0 +1,41 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { canRectify } from '../rectify.js';
+import { splitStereo, splitCubemap, splitDualFisheye, assemblePhotosphere } from '../parsers/core/core.js';
+
+const image = (width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height });
+
+test('rectify flat stereo pairs', () => {
+  assert.ok(canRectify(splitStereo(image(400, 150))));
+});
+
+test('do not rectify failed parsing', () => {
+  assert.ok(!canRectify({ error: 'Could not decode image' }));
+});
+
+test('do not rectify mono pictures', () => {
+  assert.ok(!canRectify(assemblePhotosphere(image(400, 200))));
+});
+
+test('do not rectify pictures without a flat projection', () => {
+  assert.ok(!canRectify(splitStereo(image(400, 200), { angle: '180' })));
+  assert.ok(!canRectify(splitStereo(image(800, 200), { angle: '360' })));
+  assert.ok(!canRectify(splitCubemap(image(1200, 100))));
+  assert.ok(!canRectify(splitDualFisheye(image(400, 200))));
+});
@@ -0,0 +1,29 @@
+// Copyright 2021 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readSource } from '../parsers/utils.js';
+
+test('read URLs with progress', async () => {
+  const bytes = new Uint8Array(1000).map((value, i) => i % 256);
+  const url = `data:application/octet-stream;base64,${Buffer.from(bytes).toString('base64')}`;
+  const progress = [];
+  const buffer = await readSource(url, (event) => progress.push(event));
+
+  assert.deepEqual(new Uint8Array(buffer), bytes);
+  assert.ok(progress.length > 0);
+  assert.deepEqual(progress.at(-1), { loaded: 1000, total: 1000 });
+});